@@ -0,0 +1,6 @@
+// Resolves with the next batched 'update' event of a store
+export function nextUpdate(store) {
+  return new Promise((resolve) => {
+    store.once('update', resolve);
+  });
+}
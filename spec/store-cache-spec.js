@@ -0,0 +1,136 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, cloneStore, defineMethod } from '../src/index.js';
+
+/* global describe, it, expect, beforeEach, jasmine */
+
+describe('Store Cache', () => {
+  let calls;
+  let store;
+
+  const getUser = ({ get }, userID) => {
+    calls++;
+    return get()[userID];
+  };
+
+  beforeEach(() => {
+    calls = 0;
+
+    store = createStore({
+      users: {
+        _:           { 1: { name: 'Bob' }, 2: { name: 'Alice' } },
+        get:         getUser,
+        getRecent:   defineMethod(getUser, { cache: { size: 2 } }),
+        getUncached: defineMethod(getUser, { cache: false }),
+        getExpiring: defineMethod(getUser, { cache: { ttl: 1000 } }),
+        find:        defineMethod(({ get }, query) => {
+          calls++;
+          return Object.values(get()).filter((user) => user.name === query.name);
+        }, { cache: { key: (query) => query.name } }),
+        rename({ get, set }, userID, name) {
+          set({ ...get(), [userID]: { name } });
+        },
+      },
+    });
+  });
+
+  it('caches the last call by default', () => {
+    store.users.get(1);
+    store.users.get(1);
+    expect(calls).toEqual(1);
+
+    store.users.get(2);
+    store.users.get(1);
+    expect(calls).toEqual(3);
+  });
+
+  it('can cache several calls', () => {
+    let user1 = store.users.getRecent(1);
+    store.users.getRecent(2);
+
+    expect(store.users.getRecent(1)).toBe(user1);
+    store.users.getRecent(2);
+    expect(calls).toEqual(2);
+
+    // Evicts the least recently used call (user 1)
+    store.users.getRecent(3);
+    store.users.getRecent(2);
+    expect(calls).toEqual(3);
+
+    store.users.getRecent(1);
+    expect(calls).toEqual(4);
+  });
+
+  it('invalidates every cached call on writes', () => {
+    store.users.getRecent(1);
+    store.users.getRecent(2);
+    store.users.rename(1, 'Robert');
+
+    expect(store.users.getRecent(1)).toEqual({ name: 'Robert' });
+    expect(store.users.getRecent(2)).toEqual({ name: 'Alice' });
+    expect(calls).toEqual(4);
+  });
+
+  it('can disable the cache', () => {
+    store.users.getUncached(1);
+    store.users.getUncached(1);
+
+    expect(calls).toEqual(2);
+  });
+
+  it('can cache by key', () => {
+    let users = store.users.find({ name: 'Bob' });
+    expect(store.users.find({ name: 'Bob' })).toBe(users);
+    expect(calls).toEqual(1);
+
+    store.users.find({ name: 'Alice' });
+    expect(calls).toEqual(2);
+  });
+
+  it('expires cached calls', () => {
+    jasmine.clock().install();
+    jasmine.clock().mockDate(new Date(2024, 0, 1));
+
+    try {
+      store.users.getExpiring(1);
+      jasmine.clock().tick(500);
+      store.users.getExpiring(1);
+      expect(calls).toEqual(1);
+
+      jasmine.clock().tick(500);
+      store.users.getExpiring(1);
+      expect(calls).toEqual(2);
+    } finally {
+      jasmine.clock().uninstall();
+    }
+  });
+
+  it('reports cache hits and misses', () => {
+    expect(store.cacheStats()).toEqual({});
+
+    store.users.getRecent(1);
+    store.users.getRecent(1);
+    store.users.getRecent(2);
+    store.users.getRecent(1);
+    store.users.find({ name: 'Bob' });
+
+    expect(store.cacheStats()).toEqual({
+      'users.getRecent': { hits: 2, misses: 2 },
+      'users.find':      { hits: 0, misses: 1 },
+    });
+
+    // Shared with clones, which don't use the cache
+    let clonedStore = cloneStore(store, true);
+    clonedStore.users.getRecent(1);
+
+    expect(store.cacheStats()['users.getRecent']).toEqual({ hits: 2, misses: 3 });
+  });
+
+  it('validates cache options', () => {
+    let method = () => {};
+
+    expect(() => defineMethod(method, { cache: 'lru' })).toThrow(new TypeError('defineMethod: provided "cache" must be a boolean, or an object.'));
+    expect(() => defineMethod(method, { cache: { size: 0 } })).toThrow(new TypeError('defineMethod: provided "cache.size" must be a positive integer.'));
+    expect(() => defineMethod(method, { cache: { key: 'id' } })).toThrow(new TypeError('defineMethod: provided "cache.key" must be a function.'));
+    expect(() => defineMethod(method, { cache: { ttl: -1 } })).toThrow(new TypeError('defineMethod: provided "cache.ttl" must be a positive number.'));
+  });
+});
@@ -0,0 +1,128 @@
+/* eslint-disable no-magic-numbers */
+import { createStore } from '../src/index.js';
+import { nextUpdate } from './helpers/next-update.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Changes', () => {
+  let template;
+  let store;
+
+  beforeEach(() => {
+    template = {
+      frames: {
+        _: {},
+        put({ get, set }, frame) {
+          set({ ...get(), [frame.id]: frame });
+        },
+        remove({ get, set }, id) {
+          let current = { ...get() };
+          delete current[id];
+          set(current);
+        },
+      },
+      list: {
+        _: [],
+        add({ get, set }, item) {
+          set([ ...get(), item ]);
+        },
+        replace({ set }, items) {
+          set(items);
+        },
+      },
+      counter: {
+        _: 0,
+        set({ set }, value) {
+          set(value);
+        },
+      },
+    };
+
+    store = createStore(template);
+  });
+
+  it('does not report changes unless enabled', async () => {
+    store.counter.set(1);
+
+    let event = await nextUpdate(store);
+    expect(event.changes).toBeUndefined();
+  });
+
+  it('reports added, removed, and changed keys per modified path', async () => {
+    store = createStore(template, { emitChanges: true });
+
+    let f1 = { id: 'f1', text: 'hello' };
+    let f2 = { id: 'f2', text: 'world' };
+
+    store.frames.put(f1);
+    store.frames.put(f2);
+    await nextUpdate(store);
+
+    let f1v2 = { id: 'f1', text: 'CHANGED' };
+    let f3 = { id: 'f3', text: 'new' };
+
+    store.frames.put(f1v2);
+    store.frames.put(f3);
+    store.frames.remove('f2');
+
+    let { changes } = await nextUpdate(store);
+
+    expect(Object.keys(changes)).toEqual([ 'frames' ]);
+    expect(changes.frames.added).toEqual([ { key: 'f3', oldValue: undefined, newValue: f3 } ]);
+    expect(changes.frames.removed).toEqual([ { key: 'f2', oldValue: f2, newValue: undefined } ]);
+    expect(changes.frames.changed).toEqual([ { key: 'f1', oldValue: f1, newValue: f1v2 } ]);
+    expect(changes.frames.oldValue).toEqual({ f1, f2 });
+    expect(changes.frames.newValue).toEqual({ f1: f1v2, f3 });
+  });
+
+  it('diffs from the start of the batch to the end of the batch', async () => {
+    store = createStore(template, { emitChanges: true });
+
+    store.list.add('a');
+    store.list.add('b');
+    store.list.add('c');
+
+    let { changes } = await nextUpdate(store);
+
+    expect(changes.list.added).toEqual([
+      { key: 0, oldValue: undefined, newValue: 'a' },
+      { key: 1, oldValue: undefined, newValue: 'b' },
+      { key: 2, oldValue: undefined, newValue: 'c' },
+    ]);
+
+    store.list.replace([ 'a', 'd' ]);
+
+    ({ changes } = await nextUpdate(store));
+
+    expect(changes.list.added).toEqual([]);
+    expect(changes.list.changed).toEqual([ { key: 1, oldValue: 'b', newValue: 'd' } ]);
+    expect(changes.list.removed).toEqual([ { key: 2, oldValue: 'c', newValue: undefined } ]);
+  });
+
+  it('reports old and new values for non-container values', async () => {
+    store = createStore(template, { emitChanges: true });
+
+    store.counter.set(5);
+
+    let { changes } = await nextUpdate(store);
+
+    expect(changes.counter).toEqual({
+      oldValue: 0,
+      newValue: 5,
+      added:    [],
+      removed:  [],
+      changed:  [],
+    });
+  });
+
+  it('diffs the entire state on hydrate', async () => {
+    store = createStore(template, { emitChanges: true });
+
+    store.hydrate({ frames: {}, list: [], counter: 10 });
+
+    let { changes } = await nextUpdate(store);
+
+    expect(Object.keys(changes)).toEqual([ '*' ]);
+    expect(changes['*'].changed.map(({ key }) => key)).toEqual([ 'frames', 'list', 'counter' ]);
+  });
+});
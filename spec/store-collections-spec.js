@@ -0,0 +1,173 @@
+/* eslint-disable no-magic-numbers */
+import {
+  createStore,
+  cloneStore,
+  persistStore,
+  createKeyValueAdapter,
+  serializeState,
+  deserializeState,
+} from '../src/index.js';
+import { nextUpdate } from './helpers/next-update.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Collections', () => {
+  let template;
+  let store;
+
+  beforeEach(() => {
+    template = {
+      frames: {
+        _: new Map(),
+        put({ get, set }, frame) {
+          set(new Map(get()).set(frame.id, frame));
+        },
+        remove({ get, set }, id) {
+          let frames = new Map(get());
+          frames.delete(id);
+          set(frames);
+        },
+        get({ get }, id) {
+          return (id) ? get().get(id) : get();
+        },
+      },
+      tags: {
+        _: new Set(),
+        add({ get, set }, tag) {
+          set(new Set(get()).add(tag));
+        },
+      },
+    };
+
+    store = createStore(template);
+  });
+
+  it('keeps Map and Set entries', () => {
+    store.frames.put({ id: 'f1' });
+    store.frames.put({ id: 'f2' });
+    store.tags.add('a');
+
+    expect(store.frames.get() instanceof Map).toBe(true);
+    expect(Array.from(store.frames.get().keys())).toEqual([ 'f1', 'f2' ]);
+    expect(store.frames.get('f2')).toEqual({ id: 'f2' });
+    expect(store.getState().tags.has('a')).toBe(true);
+
+    let clonedStore = cloneStore(store);
+    expect(clonedStore.frames.get('f1')).toEqual({ id: 'f1' });
+  });
+
+  it('writes Maps with different entries', async () => {
+    store.frames.put({ id: 'f1' });
+    await nextUpdate(store);
+
+    let updates = 0;
+    store.on('update', () => updates++);
+
+    // Same entries, so nothing changed
+    store.frames.put(store.frames.get('f1'));
+    await Promise.resolve();
+    expect(updates).toEqual(0);
+
+    store.frames.remove('f1');
+    expect(store.frames.get().size).toEqual(0);
+  });
+
+  it('freezes Maps and Sets', () => {
+    store.frames.put({ id: 'f1' });
+    store.tags.add('a');
+
+    expect(Object.isFrozen(store.frames.get())).toBe(true);
+    expect(() => store.frames.get().set('f2', {})).toThrow(new TypeError('Error: Unable to call "set" on a frozen Map. State can only be updated through scope methods via set().'));
+    expect(() => store.frames.get().clear()).toThrow();
+    expect(() => store.getState().tags.add('b')).toThrow(new TypeError('Error: Unable to call "add" on a frozen Set. State can only be updated through scope methods via set().'));
+    expect(store.frames.get().size).toEqual(1);
+  });
+
+  it('diffs Maps and Sets', async () => {
+    store = createStore(template, { emitChanges: true });
+
+    let f1 = { id: 'f1' };
+    let f2 = { id: 'f2' };
+
+    store.frames.put(f1);
+    store.frames.put(f2);
+    store.tags.add('a');
+    await nextUpdate(store);
+
+    let f1v2 = { id: 'f1', text: 'CHANGED' };
+    let f3 = { id: 'f3' };
+
+    store.frames.put(f1v2);
+    store.frames.put(f3);
+    store.frames.remove('f2');
+    store.tags.add('b');
+
+    let { changes } = await nextUpdate(store);
+
+    expect(changes.frames.added).toEqual([ { key: 'f3', oldValue: undefined, newValue: f3 } ]);
+    expect(changes.frames.removed).toEqual([ { key: 'f2', oldValue: f2, newValue: undefined } ]);
+    expect(changes.frames.changed).toEqual([ { key: 'f1', oldValue: f1, newValue: f1v2 } ]);
+    expect(changes.tags.added).toEqual([ { key: 'b', oldValue: undefined, newValue: 'b' } ]);
+    expect(changes.tags.removed).toEqual([]);
+  });
+
+  it('addresses Map entries by path', async () => {
+    let calls = [];
+
+    store.frames.put({ id: 'f1', text: 'hello' });
+    store.frames.put({ id: 'f2', text: 'world' });
+    await nextUpdate(store);
+
+    store.subscribe('frames.f1.text', (value, previousValue) => calls.push([ value, previousValue ]));
+
+    store.hydrate('CHANGED', { path: 'frames.f1.text' });
+    await nextUpdate(store);
+
+    expect(store.frames.get('f1')).toEqual({ id: 'f1', text: 'CHANGED' });
+    expect(store.frames.get('f2').text).toEqual('world');
+    expect(Object.isFrozen(store.frames.get())).toBe(true);
+    expect(calls).toEqual([ [ 'CHANGED', 'hello' ] ]);
+  });
+
+  it('can serialize and deserialize Maps and Sets', () => {
+    let state = {
+      frames: new Map([ [ 'f1', { id: 'f1', children: new Set([ 'f2' ]) } ] ]),
+      list:   [ 1, 2 ],
+    };
+
+    let result = deserializeState(serializeState(state));
+
+    expect(result.frames instanceof Map).toBe(true);
+    expect(result.frames.get('f1').children instanceof Set).toBe(true);
+    expect(Array.from(result.frames.get('f1').children)).toEqual([ 'f2' ]);
+    expect(result.list).toEqual([ 1, 2 ]);
+  });
+
+  it('persists and restores Maps and Sets', async () => {
+    let data    = {};
+    let storage = {
+      getItem:    (key) => (data[key] || null),
+      setItem:    (key, value) => {
+        data[key] = value;
+      },
+      removeItem: (key) => {
+        delete data[key];
+      },
+    };
+
+    let persistor = persistStore(store, createKeyValueAdapter(storage));
+
+    await persistor.ready;
+
+    store.frames.put({ id: 'f1' });
+    store.tags.add('a');
+    await nextUpdate(store);
+    await persistor.flush();
+
+    let restoredStore = createStore(template);
+    await persistStore(restoredStore, createKeyValueAdapter(storage)).ready;
+
+    expect(restoredStore.frames.get('f1')).toEqual({ id: 'f1' });
+    expect(restoredStore.getState().tags.has('a')).toBe(true);
+  });
+});
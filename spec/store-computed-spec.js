@@ -0,0 +1,204 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, cloneStore } from '../src/index.js';
+import { nextUpdate } from './helpers/next-update.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Computed', () => {
+  let counts;
+  let template;
+  let store;
+
+  beforeEach(() => {
+    counts = { visibleTodos: 0, todoCount: 0 };
+
+    template = {
+      todos: {
+        _: [],
+        add({ get, set }, todo) {
+          set([ ...get(), todo ]);
+        },
+        complete({ get, set }, id) {
+          set(get().map((todo) => ((todo.id === id) ? { ...todo, done: true } : todo)));
+        },
+        get({ get }) {
+          return get();
+        },
+      },
+      filter: {
+        _: 'all',
+        set({ set }, filter) {
+          set(filter);
+        },
+        get({ get }) {
+          return get();
+        },
+      },
+      config: {
+        _: { theme: 'dark' },
+        setTheme({ set }, theme) {
+          set({ theme });
+        },
+      },
+      computed: {
+        visibleTodos: (store) => {
+          counts.visibleTodos++;
+
+          let filter = store.filter.get();
+          return store.todos.get().filter((todo) => (filter === 'all' || (filter === 'done') === !!todo.done));
+        },
+        todoCount: {
+          dependencies: [ 'todos' ],
+          get:          (store) => {
+            counts.todoCount++;
+            return store.getState().todos.length;
+          },
+        },
+        summary: (store) => {
+          return `${store.computed.visibleTodos().length} of ${store.computed.todoCount()}`;
+        },
+      },
+    };
+
+    store = createStore(template);
+  });
+
+  it('can read computed values', () => {
+    store.todos.add({ id: 1 });
+    store.todos.add({ id: 2, done: true });
+
+    expect(store.computed.visibleTodos()).toEqual([ { id: 1 }, { id: 2, done: true } ]);
+    expect(store.computed.todoCount()).toEqual(2);
+    expect(store.computed.summary()).toEqual('2 of 2');
+
+    store.filter.set('done');
+
+    expect(store.computed.visibleTodos()).toEqual([ { id: 2, done: true } ]);
+    expect(store.computed.summary()).toEqual('1 of 2');
+
+    let clonedStore = cloneStore(store);
+    expect(clonedStore.computed.summary()).toEqual('1 of 2');
+  });
+
+  it('memoizes computed values until a dependency changes', () => {
+    store.todos.add({ id: 1 });
+
+    let visibleTodos = store.computed.visibleTodos();
+    expect(store.computed.visibleTodos()).toBe(visibleTodos);
+    expect(counts.visibleTodos).toEqual(1);
+
+    // Not a dependency
+    store.config.setTheme('light');
+    expect(store.computed.visibleTodos()).toBe(visibleTodos);
+    store.computed.todoCount();
+    store.computed.todoCount();
+    expect(counts.visibleTodos).toEqual(1);
+    expect(counts.todoCount).toEqual(1);
+
+    // Auto-tracked dependency
+    store.filter.set('done');
+    store.computed.visibleTodos();
+    expect(counts.visibleTodos).toEqual(2);
+
+    // Explicit dependencies
+    store.filter.set('all');
+    store.computed.todoCount();
+    expect(counts.todoCount).toEqual(1);
+
+    store.todos.add({ id: 2 });
+    expect(store.computed.todoCount()).toEqual(2);
+    expect(counts.todoCount).toEqual(2);
+  });
+
+  it('reports computed values that changed in update events', async () => {
+    store.todos.add({ id: 1 });
+
+    let { modified } = await nextUpdate(store);
+    expect(modified).toEqual([ 'todos', 'computed.visibleTodos', 'computed.todoCount', 'computed.summary' ]);
+
+    store.transaction(() => {
+      store.filter.set('done');
+      store.todos.add({ id: 2, done: true });
+    });
+
+    ({ modified } = await nextUpdate(store));
+    expect(modified).toEqual([ 'filter', 'todos', 'computed.visibleTodos', 'computed.todoCount', 'computed.summary' ]);
+
+    // Recomputed, but the visible todos didn't change
+    store.todos.add({ id: 3 });
+
+    ({ modified } = await nextUpdate(store));
+    expect(modified).toEqual([ 'todos', 'computed.todoCount', 'computed.summary' ]);
+
+    store.config.setTheme('light');
+
+    ({ modified } = await nextUpdate(store));
+    expect(modified).toEqual([ 'config' ]);
+  });
+
+  it('reports changes against memoized values', async () => {
+    store = createStore(template, { emitChanges: true });
+
+    expect(store.computed.summary()).toEqual('0 of 0');
+    expect(counts.todoCount).toEqual(1);
+
+    store.todos.add({ id: 1 });
+
+    let { changes } = await nextUpdate(store);
+    expect(changes['computed.todoCount'].oldValue).toEqual(0);
+    expect(changes['computed.todoCount'].newValue).toEqual(1);
+    expect(counts.todoCount).toEqual(2);
+
+    // Read in the middle of a batch
+    store.todos.add({ id: 2 });
+    expect(store.computed.todoCount()).toEqual(2);
+    store.todos.add({ id: 3 });
+
+    ({ changes } = await nextUpdate(store));
+    expect(changes['computed.todoCount'].oldValue).toEqual(1);
+    expect(changes['computed.todoCount'].newValue).toEqual(3);
+    expect(counts.todoCount).toEqual(4);
+  });
+
+  it('reports computed changes when enabled', async () => {
+    store = createStore(template, { emitChanges: true });
+
+    store.todos.add({ id: 1 });
+
+    let { changes } = await nextUpdate(store);
+    expect(changes['computed.todoCount']).toEqual({ oldValue: 0, newValue: 1, added: [], removed: [], changed: [] });
+    expect(changes['computed.visibleTodos'].added).toEqual([ { key: 0, oldValue: undefined, newValue: { id: 1 } } ]);
+  });
+
+  it('can be watched', async () => {
+    let calls = [];
+
+    store.watch((currentStore) => currentStore.computed.todoCount(), (value, previousValue) => calls.push([ value, previousValue ]));
+
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    expect(calls).toEqual([ [ 1, 0 ] ]);
+  });
+
+  it('validates computed declarations', () => {
+    expect(() => createStore({
+      computed: {
+        invalid: 'nope',
+      },
+    })).toThrow(new TypeError('Error: Value of "computed.invalid" is invalid. Computed values must be functions, or { dependencies, get } objects.'));
+  });
+
+  it('still allows a scope named "computed"', () => {
+    store = createStore({
+      computed: {
+        _: 1,
+        get({ get }) {
+          return get();
+        },
+      },
+    });
+
+    expect(store.computed.get()).toEqual(1);
+  });
+});
@@ -0,0 +1,155 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, defineMethod } from '../src/index.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Concurrency', () => {
+  let requests;
+  let signals;
+  let store;
+
+  const createRequest = (userID) => {
+    let request = { userID };
+
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+
+    requests.push(request);
+
+    return request.promise;
+  };
+
+  const load = async ({ get, set, signal }, userID) => {
+    signals.push(signal);
+
+    let user = await createRequest(userID);
+    set({ current: user, loaded: [ ...get().loaded, user.id ] });
+
+    return user;
+  };
+
+  // Wait for pending promise callbacks, however many there are
+  const flush = () => {
+    return new Promise((resolve) => {
+      setTimeout(resolve, 0);
+    });
+  };
+
+  beforeEach(() => {
+    requests = [];
+    signals = [];
+
+    store = createStore({
+      users: {
+        _:          { current: null, loaded: [] },
+        loadLatest: defineMethod(load, { concurrency: 'takeLatest' }),
+        loadFirst:  defineMethod(load, { concurrency: 'takeFirst' }),
+        loadQueued: defineMethod(load, { concurrency: 'queue' }),
+        get({ get }) {
+          return get();
+        },
+      },
+    });
+  });
+
+  it('ignores writes from superseded calls with takeLatest', async () => {
+    let promise1 = store.users.loadLatest(1);
+    let promise2 = store.users.loadLatest(2);
+
+    expect(requests.length).toEqual(2);
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+
+    // The newer call finishes first
+    requests[1].resolve({ id: 2 });
+    await promise2;
+
+    requests[0].resolve({ id: 1 });
+    await promise1;
+
+    expect(store.users.get()).toEqual({ current: { id: 2 }, loaded: [ 2 ] });
+  });
+
+  it('does not share superseded calls', () => {
+    let promise1 = store.users.loadLatest(1);
+    store.users.loadLatest(2);
+
+    expect(store.users.loadLatest(1)).not.toBe(promise1);
+    expect(requests.length).toEqual(3);
+    expect(signals[1].aborted).toBe(true);
+  });
+
+  it('shares the running call with takeFirst', async () => {
+    let promise1 = store.users.loadFirst(1);
+    let promise2 = store.users.loadFirst(2);
+
+    expect(promise2).toBe(promise1);
+    expect(requests.length).toEqual(1);
+
+    requests[0].resolve({ id: 1 });
+    await promise1;
+
+    store.users.loadFirst(3);
+    expect(requests.length).toEqual(2);
+    expect(requests[1].userID).toEqual(3);
+  });
+
+  it('runs calls one at a time with queue', async () => {
+    let promise1 = store.users.loadQueued(1);
+    let promise2 = store.users.loadQueued(2);
+
+    expect(promise2).not.toBe(promise1);
+    expect(requests.length).toEqual(1);
+
+    requests[0].resolve({ id: 1 });
+    await promise1;
+    await flush();
+
+    expect(requests.length).toEqual(2);
+    requests[1].resolve({ id: 2 });
+
+    expect(await promise2).toEqual({ id: 2 });
+    expect(store.users.get()).toEqual({ current: { id: 2 }, loaded: [ 1, 2 ] });
+  });
+
+  it('continues the queue after a rejected call', async () => {
+    let error = new Error('Network error');
+
+    let promise1 = store.users.loadQueued(1);
+    let promise2 = store.users.loadQueued(2);
+
+    requests[0].reject(error);
+    await promise1.catch(() => {});
+    await flush();
+
+    requests[1].resolve({ id: 2 });
+    expect(await promise2).toEqual({ id: 2 });
+  });
+
+  it('provides a signal to every method', () => {
+    let signal;
+
+    store = createStore({
+      counter: {
+        _: 0,
+        increment({ get, set, signal: _signal }) {
+          signal = _signal;
+          set(get() + 1);
+        },
+      },
+    });
+
+    store.counter.increment();
+
+    expect(signal.aborted).toBe(false);
+    expect(store.getState().counter).toEqual(1);
+  });
+
+  it('validates method options', () => {
+    expect(() => defineMethod(null)).toThrow(new TypeError('defineMethod: provided "func" must be a function.'));
+    expect(() => defineMethod(() => {}, 'takeLatest')).toThrow(new TypeError('defineMethod: provided "options" must be an object.'));
+    expect(() => defineMethod(() => {}, { concurrency: 'latest' })).toThrow(new TypeError('defineMethod: provided "concurrency" must be "takeLatest", "takeFirst", or "queue".'));
+  });
+});
@@ -0,0 +1,136 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, cloneStore } from '../src/index.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Dependency Tracking', () => {
+  let store;
+  let counts;
+
+  beforeEach(() => {
+    counts = {
+      getByState:           0,
+      getCitizensForState:  0,
+      getStateNames:        0,
+    };
+
+    store = createStore({
+      citizens: {
+        _: [],
+        add({ get, set }, citizen) {
+          set([ ...get(), citizen ]);
+        },
+        getByState({ get }, shortStateName) {
+          counts.getByState++;
+          return get().filter((citizen) => (citizen.state === shortStateName));
+        },
+      },
+      states: {
+        _: [],
+        add({ get, set }, state) {
+          set([ ...get(), state ]);
+        },
+        get({ get }, stateName) {
+          if (!stateName)
+            return get();
+
+          return get().find((state) => (state.name === stateName));
+        },
+        getCitizensForState({ store }, stateName) {
+          counts.getCitizensForState++;
+
+          let state = store.states.get(stateName);
+          return store.citizens.getByState(state.shortName);
+        },
+        getStateNames({ get }) {
+          counts.getStateNames++;
+          return get().map((state) => state.name);
+        },
+      },
+      unrelated: {
+        _: { value: 0 },
+        set({ set }, value) {
+          set({ value });
+        },
+      },
+    });
+
+    store.states.add({ name: 'California', shortName: 'CA' });
+    store.citizens.add({ name: 'Bob', state: 'CA' });
+  });
+
+  it('invalidates cached results when a scope they read through the store is written', () => {
+    expect(store.states.getCitizensForState('California')).toEqual([ { name: 'Bob', state: 'CA' } ]);
+    expect(store.states.getCitizensForState('California')).toEqual([ { name: 'Bob', state: 'CA' } ]);
+    expect(counts.getCitizensForState).toEqual(1);
+
+    store.citizens.add({ name: 'Alice', state: 'CA' });
+
+    expect(store.states.getCitizensForState('California')).toEqual([
+      { name: 'Bob', state: 'CA' },
+      { name: 'Alice', state: 'CA' },
+    ]);
+
+    expect(counts.getCitizensForState).toEqual(2);
+  });
+
+  it('records dependencies of nested calls that were served from the cache', () => {
+    // Prime the nested cache first, so getCitizensForState
+    // only ever sees a cached result from citizens.getByState
+    store.citizens.getByState('CA');
+    expect(counts.getByState).toEqual(1);
+
+    store.states.getCitizensForState('California');
+    expect(counts.getByState).toEqual(1);
+
+    store.citizens.add({ name: 'Alice', state: 'CA' });
+
+    expect(store.states.getCitizensForState('California').length).toEqual(2);
+    expect(counts.getCitizensForState).toEqual(2);
+  });
+
+  it('does not invalidate cached results when unrelated scopes are written', () => {
+    store.states.getCitizensForState('California');
+    store.states.getStateNames();
+
+    store.unrelated.set(10);
+
+    store.states.getCitizensForState('California');
+    expect(counts.getCitizensForState).toEqual(1);
+
+    store.citizens.add({ name: 'Alice', state: 'CA' });
+
+    store.states.getCitizensForState('California');
+    store.states.getStateNames();
+
+    expect(counts.getCitizensForState).toEqual(2);
+    expect(counts.getStateNames).toEqual(1);
+  });
+
+  it('still invalidates every cached result of a scope when that scope is written', () => {
+    store.states.getStateNames();
+    store.states.add({ name: 'Texas', shortName: 'TX' });
+
+    expect(store.states.getStateNames()).toEqual([ 'California', 'Texas' ]);
+    expect(counts.getStateNames).toEqual(2);
+  });
+
+  it('invalidates dependent results through cloned stores', () => {
+    let clonedStore = cloneStore(store);
+
+    expect(clonedStore.states.getCitizensForState('California').length).toEqual(1);
+
+    clonedStore.citizens.add({ name: 'Alice', state: 'CA' });
+
+    expect(clonedStore.states.getCitizensForState('California').length).toEqual(2);
+  });
+
+  it('can hydrate a cloned store', () => {
+    let clonedStore = cloneStore(store);
+
+    clonedStore.states.getStateNames();
+    clonedStore.hydrate({ citizens: [], states: [ { name: 'Texas', shortName: 'TX' } ], unrelated: { value: 0 } });
+
+    expect(clonedStore.states.getStateNames()).toEqual([ 'Texas' ]);
+  });
+});
@@ -0,0 +1,264 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, createDevtools, connectReduxDevtools } from '../src/index.js';
+import { nextUpdate } from './helpers/next-update.js';
+
+/* global describe, it, expect, jasmine, beforeEach */
+
+describe('Store Devtools', () => {
+  let template;
+  let store;
+
+  beforeEach(() => {
+    template = {
+      todos: {
+        _: [],
+        add({ get, set }, todo) {
+          set([ ...get(), todo ]);
+        },
+        async load({ set }, todos) {
+          await Promise.resolve();
+          set(todos);
+        },
+      },
+      config: {
+        _: { theme: 'dark' },
+        setTheme({ get, set }, theme) {
+          set({ ...get(), theme });
+        },
+      },
+    };
+
+    store = createStore(template);
+  });
+
+  const createTransport = () => {
+    let transport = {
+      inits:    [],
+      sent:     [],
+      listener: null,
+      init(state) {
+        transport.inits.push(state);
+      },
+      send(action, state) {
+        transport.sent.push({ action, state });
+      },
+      subscribe(listener) {
+        transport.listener = listener;
+
+        return () => {
+          transport.listener = null;
+        };
+      },
+      dispatch(payload) {
+        transport.listener({ type: 'DISPATCH', payload });
+      },
+    };
+
+    return transport;
+  };
+
+  it('records method calls, writes, and updates', async () => {
+    let devtools = createDevtools(store);
+
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    let log = devtools.getLog();
+    expect(log.map((entry) => entry.type)).toEqual([ 'set', 'call', 'update' ]);
+
+    expect(log[0]).toEqual(jasmine.objectContaining({
+      path:           'todos',
+      methodName:     'add',
+      args:           [ { id: 1 } ],
+      previousValue:  [],
+      nextValue:      [ { id: 1 } ],
+    }));
+
+    expect(log[1]).toEqual(jasmine.objectContaining({
+      path:       'todos',
+      methodName: 'add',
+      args:       [ { id: 1 } ],
+    }));
+
+    expect(typeof log[1].duration).toEqual('number');
+
+    expect(log[2]).toEqual(jasmine.objectContaining({
+      modified: [ 'todos' ],
+      reason:   'update',
+    }));
+
+    expect(log[2].state).toBe(store.getState());
+  });
+
+  it('records the duration of async method calls once settled', async () => {
+    let devtools = createDevtools(store);
+
+    let updated = nextUpdate(store);
+    let promise = store.todos.load([ { id: 1 } ]);
+    let entry   = devtools.getLog().find((item) => item.type === 'call');
+    let started = entry.duration;
+
+    await promise;
+    await updated;
+
+    expect(entry.duration).not.toBeLessThan(started);
+    expect(devtools.getLog().map((item) => item.type)).toEqual([ 'call', 'set', 'update' ]);
+  });
+
+  it('can jump to the state of any entry', async () => {
+    let devtools = createDevtools(store);
+
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    store.config.setTheme('light');
+    await nextUpdate(store);
+
+    devtools.jumpTo(0);
+    expect(store.getState()).toEqual({ todos: [ { id: 1 } ], config: { theme: 'dark' } });
+
+    // Time travel isn't recorded
+    let event = await nextUpdate(store);
+    expect(event.reason).toEqual('jumpTo');
+    expect(devtools.getLog().length).toEqual(6);
+
+    expect(() => devtools.jumpTo(6)).toThrow(new RangeError('Error: Unable to jump to log entry 6, no such entry exists.'));
+  });
+
+  it('can limit, clear, and stop recording', async () => {
+    let devtools  = createDevtools(store, { maxEntries: 2 });
+    let entries   = [];
+
+    let unsubscribe = devtools.subscribe((entry) => entries.push(entry.type));
+
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    expect(devtools.getLog().map((entry) => entry.type)).toEqual([ 'call', 'update' ]);
+    expect(entries).toEqual([ 'set', 'call', 'update' ]);
+
+    unsubscribe();
+    devtools.clear();
+    expect(devtools.getLog()).toEqual([]);
+
+    devtools.destroy();
+    store.todos.add({ id: 2 });
+    await nextUpdate(store);
+
+    expect(devtools.getLog()).toEqual([]);
+    expect(entries.length).toEqual(3);
+
+    expect(() => createDevtools(store, { maxEntries: 0 })).toThrow(new TypeError('createDevtools: provided "maxEntries" must be a number greater than zero.'));
+  });
+
+  it('can connect to the Redux DevTools extension', async () => {
+    let devtools    = createDevtools(store);
+    let transport   = createTransport();
+    let connection  = connectReduxDevtools(devtools, { transport });
+
+    let initialState = store.getState();
+    expect(transport.inits).toEqual([ initialState ]);
+
+    store.todos.add({ id: 1 });
+    store.config.setTheme('light');
+    await nextUpdate(store);
+
+    expect(transport.sent.map(({ action }) => action)).toEqual([
+      { type: 'todos.add', args: [ { id: 1 } ] },
+      { type: 'config.setTheme', args: [ 'light' ] },
+    ]);
+
+    expect(transport.sent[1].state).toBe(store.getState());
+
+    // Jump back to the first action
+    transport.dispatch({ type: 'JUMP_TO_ACTION', actionId: 1 });
+    expect(store.getState()).toEqual({ todos: [ { id: 1 } ], config: { theme: 'dark' } });
+    await nextUpdate(store);
+
+    transport.dispatch({ type: 'JUMP_TO_STATE', actionId: 2 });
+    expect(store.getState().config.theme).toEqual('light');
+    await nextUpdate(store);
+
+    // Nothing was sent while time traveling
+    expect(transport.sent.length).toEqual(2);
+
+    transport.dispatch({ type: 'COMMIT' });
+    expect(transport.inits.length).toEqual(2);
+
+    store.todos.add({ id: 2 });
+    await nextUpdate(store);
+
+    transport.dispatch({ type: 'ROLLBACK' });
+    expect(store.getState().todos).toEqual([ { id: 1 } ]);
+    await nextUpdate(store);
+
+    transport.dispatch({ type: 'RESET' });
+    expect(store.getState()).toEqual(initialState);
+    await nextUpdate(store);
+
+    connection.disconnect();
+    expect(transport.listener).toBe(null);
+
+    store.todos.add({ id: 3 });
+    await nextUpdate(store);
+
+    expect(transport.sent.length).toEqual(3);
+  });
+
+  it('keeps the states of the last "maxAge" actions', async () => {
+    let devtools  = createDevtools(store);
+    let transport = createTransport();
+
+    connectReduxDevtools(devtools, { transport, maxAge: 3 });
+
+    for (let i = 1; i <= 4; i++) {
+      store.todos.add({ id: i });
+      await nextUpdate(store);
+    }
+
+    // Actions 1 and 2 were committed, so 0 is the state after action 2
+    transport.dispatch({ type: 'JUMP_TO_ACTION', actionId: 1 });
+    expect(store.getState().todos.length).toEqual(4);
+
+    transport.dispatch({ type: 'JUMP_TO_ACTION', actionId: 3 });
+    expect(store.getState().todos).toEqual([ { id: 1 }, { id: 2 }, { id: 3 } ]);
+    await nextUpdate(store);
+
+    transport.dispatch({ type: 'JUMP_TO_ACTION', actionId: 0 });
+    expect(store.getState().todos).toEqual([ { id: 1 }, { id: 2 } ]);
+    await nextUpdate(store);
+
+    transport.dispatch({ type: 'JUMP_TO_STATE', actionId: 4 });
+    expect(store.getState().todos.length).toEqual(4);
+    await nextUpdate(store);
+
+    store.todos.add({ id: 5 });
+    await nextUpdate(store);
+
+    // Rolling back restores the state the oldest actions were committed to
+    transport.dispatch({ type: 'ROLLBACK' });
+    expect(store.getState().todos).toEqual([ { id: 1 }, { id: 2 }, { id: 3 } ]);
+  });
+
+  it('reports other writes as actions', async () => {
+    let devtools  = createDevtools(store);
+    let transport = createTransport();
+
+    connectReduxDevtools(devtools, { transport });
+
+    store.hydrate({ todos: [ { id: 1 } ], config: { theme: 'dark' } });
+    await nextUpdate(store);
+
+    expect(transport.sent.map(({ action }) => action)).toEqual([
+      { type: 'hydrate', modified: [ '*' ] },
+    ]);
+  });
+
+  it('validates the transport', () => {
+    let devtools = createDevtools(createStore(template));
+
+    expect(() => connectReduxDevtools(devtools)).toThrow(new Error('connectReduxDevtools: no "transport" was provided, and the Redux DevTools extension is not available.'));
+    expect(() => connectReduxDevtools(devtools, { transport: { init() {} } })).toThrow(new TypeError('connectReduxDevtools: provided "transport" must have "init", "send", and "subscribe" functions.'));
+    expect(() => connectReduxDevtools(devtools, { transport: createTransport(), maxAge: 1 })).toThrow(new TypeError('connectReduxDevtools: provided "maxAge" must be a number no less than 2.'));
+  });
+});
@@ -0,0 +1,135 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, cloneStore, entityScope } from '../src/index.js';
+import { nextUpdate } from './helpers/next-update.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Entity Scope', () => {
+  let template;
+  let store;
+
+  beforeEach(() => {
+    template = {
+      todos: entityScope({ idKey: 'id' }, {
+        actions: {
+          complete({ store }, id) {
+            store.todos.upsert({ id, done: true });
+          },
+        },
+        getters: {
+          getDone({ store }) {
+            return store.todos.getAll().filter((todo) => todo.done);
+          },
+        },
+      }),
+      users: entityScope({ idKey: 'userID' }),
+    };
+
+    store = createStore(template);
+  });
+
+  it('stores entities normalized', () => {
+    store.todos.upsert({ id: 1, text: 'a' });
+    store.todos.upsertMany([ { id: 2, text: 'b' }, { id: 3, text: 'c' } ]);
+
+    expect(store.getState().todos).toEqual({
+      byId: {
+        1: { id: 1, text: 'a' },
+        2: { id: 2, text: 'b' },
+        3: { id: 3, text: 'c' },
+      },
+      ids: [ 1, 2, 3 ],
+    });
+
+    expect(store.todos.getById(2)).toEqual({ id: 2, text: 'b' });
+    expect(store.todos.getById(4)).toBeUndefined();
+    expect(store.todos.getAll().map((todo) => todo.text)).toEqual([ 'a', 'b', 'c' ]);
+
+    store.users.upsert({ userID: 'u1', name: 'Bob' });
+    expect(store.users.getById('u1')).toEqual({ userID: 'u1', name: 'Bob' });
+  });
+
+  it('merges updates into existing entities', () => {
+    store.todos.upsertMany([ { id: 1, text: 'a' }, { id: 2, text: 'b' } ]);
+
+    let todos = store.todos.getAll();
+    store.todos.complete(1);
+
+    expect(store.todos.getById(1)).toEqual({ id: 1, text: 'a', done: true });
+    expect(store.getState().todos.ids).toEqual([ 1, 2 ]);
+    expect(store.todos.getDone()).toEqual([ { id: 1, text: 'a', done: true } ]);
+
+    // Unchanged entities keep their reference
+    expect(store.todos.getById(2)).toBe(todos[1]);
+
+    // Nothing changed, so nothing is written
+    let state = store.getState().todos;
+    store.todos.upsert({ id: 1, done: true });
+    expect(store.getState().todos).toBe(state);
+  });
+
+  it('can remove entities', () => {
+    store.todos.upsertMany([ { id: 1 }, { id: 2 }, { id: 3 } ]);
+    store.todos.remove(2);
+    expect(store.getState().todos.ids).toEqual([ 1, 3 ]);
+
+    store.todos.remove([ 1, 3, 4 ]);
+    expect(store.getState().todos).toEqual({ byId: {}, ids: [] });
+  });
+
+  it('can sort entities', () => {
+    store.todos.upsertMany([ { id: 1, text: 'c' }, { id: 2, text: 'a' }, { id: 3, text: 'b' } ]);
+
+    store.todos.sortBy('text');
+    expect(store.getState().todos.ids).toEqual([ 2, 3, 1 ]);
+
+    store.todos.sortBy((todoA, todoB) => (todoB.id - todoA.id));
+    expect(store.todos.getAll().map((todo) => todo.id)).toEqual([ 3, 2, 1 ]);
+  });
+
+  it('reports the ids that changed in update events', async () => {
+    store.todos.upsertMany([ { id: 1 }, { id: 2 }, { id: 3 } ]);
+    store.users.upsert({ userID: 'u1' });
+
+    let event = await nextUpdate(store);
+    expect(event.entities).toEqual({
+      todos: { added: [ 1, 2, 3 ], updated: [], removed: [] },
+      users: { added: [ 'u1' ], updated: [], removed: [] },
+    });
+
+    store.todos.complete(2);
+    store.todos.remove(3);
+    store.todos.upsert({ id: 4 });
+
+    event = await nextUpdate(store);
+    expect(event.entities).toEqual({
+      todos: { added: [ 4 ], updated: [ 2 ], removed: [ 3 ] },
+    });
+
+    // Reordering doesn't change any entities
+    store.todos.sortBy((todoA, todoB) => (todoB.id - todoA.id));
+
+    event = await nextUpdate(store);
+    expect(event.modified).toEqual([ 'todos' ]);
+    expect(event.entities).toBeUndefined();
+  });
+
+  it('works on cloned stores', () => {
+    store.todos.upsert({ id: 1 });
+
+    let clonedStore = cloneStore(store);
+    clonedStore.todos.upsert({ id: 2 });
+
+    expect(clonedStore.getState().todos.ids).toEqual([ 1, 2 ]);
+    expect(store.getState().todos.ids).toEqual([ 1 ]);
+  });
+
+  it('validates entities and options', () => {
+    expect(() => store.todos.upsert({ text: 'a' })).toThrow(new TypeError('Error: Unable to upsert entity, it is missing its "id".'));
+    expect(() => store.todos.upsert(null)).toThrow(new TypeError('Error: Unable to upsert entity, entities must be objects.'));
+    expect(() => store.todos.sortBy()).toThrow(new TypeError('Error: sortBy() requires an entity key, or a compare function.'));
+
+    expect(() => entityScope({ idKey: '' })).toThrow(new TypeError('entityScope: provided "idKey" must be a non-empty string.'));
+    expect(() => entityScope({}, { _: [] })).toThrow(new TypeError('entityScope: provided "template" can not define a "_" default value.'));
+  });
+});
@@ -0,0 +1,169 @@
+/* eslint-disable no-magic-numbers */
+import { createStore } from '../src/index.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Freeze', () => {
+  class Point {
+    constructor(x, y) {
+      this.x = x;
+      this.y = y;
+    }
+  }
+
+  let template;
+  let store;
+
+  beforeEach(() => {
+    template = {
+      frames: {
+        _: [],
+        add({ get, set }, frame) {
+          set([ ...get(), frame ]);
+        },
+        get({ get }) {
+          return get();
+        },
+      },
+      config: {
+        _: { layout: { columns: 2 } },
+        get({ get }) {
+          return get();
+        },
+      },
+    };
+
+    store = createStore(template);
+  });
+
+  it('only freezes containers along the path by default', () => {
+    let frame = { id: 'f1', content: { text: 'hello' } };
+
+    store.frames.add(frame);
+
+    expect(Object.isFrozen(store.frames.get())).toBe(true);
+    expect(Object.isFrozen(frame)).toBe(false);
+  });
+
+  it('deep freezes values installed by set()', () => {
+    store = createStore(template, { freeze: 'deep' });
+
+    let frame = { id: 'f1', content: { text: 'hello', tags: [ 'a' ] } };
+
+    store.frames.add(frame);
+
+    expect(Object.isFrozen(frame)).toBe(true);
+    expect(Object.isFrozen(frame.content)).toBe(true);
+    expect(Object.isFrozen(frame.content.tags)).toBe(true);
+    expect(() => {
+      store.frames.get()[0].content.text = 'CHANGED';
+    }).toThrow();
+
+    // Default values are deep frozen too
+    expect(Object.isFrozen(store.config.get().layout)).toBe(true);
+  });
+
+  it('deep freezes hydrated values', () => {
+    store = createStore(template, { freeze: 'deep' });
+
+    store.hydrate({ frames: [ { id: 'f1', content: {} } ], config: { layout: { columns: 4 } } });
+    expect(Object.isFrozen(store.frames.get()[0].content)).toBe(true);
+
+    store.hydrate({ layout: { columns: 5 } }, { path: 'config' });
+    expect(Object.isFrozen(store.config.get().layout)).toBe(true);
+  });
+
+  it('handles cycles', () => {
+    store = createStore(template, { freeze: 'deep' });
+
+    let frame = { id: 'f1' };
+
+    frame.self = frame;
+    store.frames.add(frame);
+
+    expect(Object.isFrozen(frame)).toBe(true);
+  });
+
+  it('skips class instances and typed arrays by default', () => {
+    store = createStore(template, { freeze: 'deep' });
+
+    let frame = { id: 'f1', point: new Point(1, 2), lookup: new Map([ [ 'a', { id: 'a' } ] ]), pixels: new Uint8Array(4) };
+
+    store.frames.add(frame);
+
+    expect(Object.isFrozen(frame)).toBe(true);
+    expect(Object.isFrozen(frame.point)).toBe(false);
+    expect(Object.isFrozen(frame.pixels)).toBe(false);
+
+    // Maps and Sets are frozen (and so are their values)
+    expect(Object.isFrozen(frame.lookup)).toBe(true);
+    expect(Object.isFrozen(frame.lookup.get('a'))).toBe(true);
+    expect(() => frame.lookup.set('b', {})).toThrow(new TypeError('Error: Unable to call "set" on a frozen Map. State can only be updated through scope methods via set().'));
+  });
+
+  it('can configure which values are skipped', () => {
+    store = createStore(template, { freeze: 'deep', freezeSkip: [ Map ] });
+
+    let frame = { id: 'f1', point: new Point(1, 2), lookup: new Map(), pixels: new Uint8Array(4) };
+
+    store.frames.add(frame);
+
+    expect(Object.isFrozen(frame.point)).toBe(true);
+    expect(Object.isFrozen(frame.lookup)).toBe(false);
+    expect(Object.isFrozen(frame.pixels)).toBe(false);
+
+    store = createStore(template, { freeze: 'deep', freezeSkip: (value) => (value.skip === true) });
+    frame = { id: 'f2', skipped: { skip: true }, frozen: { skip: false } };
+
+    store.frames.add(frame);
+
+    expect(Object.isFrozen(frame.skipped)).toBe(false);
+    expect(Object.isFrozen(frame.frozen)).toBe(true);
+  });
+
+  it('throws with the scope path on mutation in dev mode', () => {
+    store = createStore(template, { freeze: 'dev' });
+
+    store.frames.add({ id: 'f1', content: { text: 'hello' } });
+
+    let frames = store.frames.get();
+    expect(frames[0].content.text).toEqual('hello');
+    expect(Array.isArray(frames)).toBe(true);
+    expect(frames.map(({ id }) => id)).toEqual([ 'f1' ]);
+    expect(JSON.parse(JSON.stringify(store.getState()))).toEqual({ frames: [ { id: 'f1', content: { text: 'hello' } } ], config: { layout: { columns: 2 } } });
+
+    expect(() => {
+      frames[0].content.text = 'CHANGED';
+    }).toThrow(new TypeError('Error: "frames.0.content.text" can not be mutated. State can only be updated through scope methods via set().'));
+
+    expect(() => {
+      frames.push({ id: 'f2' });
+    }).toThrow(new TypeError('Error: "frames.1" can not be mutated. State can only be updated through scope methods via set().'));
+
+    expect(() => {
+      delete store.getState().config.layout;
+    }).toThrow(new TypeError('Error: "config.layout" can not be mutated. State can only be updated through scope methods via set().'));
+  });
+
+  it('unwraps dev mode values written back to the store', () => {
+    store = createStore(template, { freeze: 'dev' });
+
+    store.frames.add({ id: 'f1' });
+    store.frames.add({ id: 'f2' });
+
+    let frames = store.frames.get();
+
+    // Reads are stable, so reference checks keep working
+    expect(store.frames.get()).toBe(frames);
+    expect(frames[0]).toBe(store.getState().frames[0]);
+
+    store.hydrate(store.getState());
+    expect(() => store.frames.add(frames[0])).not.toThrow();
+    expect(store.frames.get().length).toEqual(3);
+  });
+
+  it('validates its options', () => {
+    expect(() => createStore({}, { freeze: 'always' })).toThrow(new TypeError('createStore: provided "freeze" must be "shallow", "deep", or "dev".'));
+    expect(() => createStore({}, { freeze: 'deep', freezeSkip: 'Map' })).toThrow(new TypeError('createStore: provided "freezeSkip" must be a function, or an array of classes.'));
+  });
+});
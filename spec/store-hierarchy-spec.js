@@ -0,0 +1,145 @@
+/* eslint-disable no-magic-numbers */
+import { createStore } from '../src/index.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Scope Hierarchy', () => {
+  let counts;
+  let template;
+  let store;
+
+  beforeEach(() => {
+    counts = { values: 0, subValues: 0 };
+
+    template = {
+      values: {
+        _: {
+          here:   'yes',
+          there:  'no',
+        },
+        subValues: {
+          _: {
+            test:   true,
+            hello:  'world',
+          },
+          update({ get, set }, values) {
+            set(Object.assign({}, get(), values || {}));
+          },
+          get({ get }) {
+            counts.subValues++;
+            return get();
+          },
+        },
+        replace({ set }, values) {
+          set(values);
+        },
+        get({ get }) {
+          counts.values++;
+          return get();
+        },
+      },
+    };
+
+    store = createStore(template);
+  });
+
+  it('invalidates ancestor caches when a child scope is written', () => {
+    expect(store.values.get().subValues.hello).toEqual('world');
+
+    store.values.subValues.update({ hello: 'there' });
+
+    expect(store.values.get().subValues.hello).toEqual('there');
+    expect(counts.values).toEqual(2);
+  });
+
+  it('invalidates descendant caches when an ancestor scope is written', () => {
+    expect(store.values.subValues.get().hello).toEqual('world');
+
+    store.values.replace({ here: 'no', there: 'yes', subValues: { test: false, hello: 'moon' } });
+
+    expect(store.values.subValues.get()).toEqual({ test: false, hello: 'moon' });
+    expect(counts.subValues).toEqual(2);
+  });
+
+  it('does not invalidate sibling caches', () => {
+    store = createStore(Object.assign({}, template, {
+      other: {
+        _: 0,
+        set({ set }, value) {
+          set(value);
+        },
+      },
+    }));
+
+    store.values.get();
+    store.values.subValues.get();
+
+    store.other.set(1);
+
+    store.values.get();
+    store.values.subValues.get();
+
+    expect(counts.values).toEqual(1);
+    expect(counts.subValues).toEqual(1);
+  });
+
+  it('invalidates cross-scope dependencies on child and ancestor writes', () => {
+    let computeCount = 0;
+
+    store = createStore(Object.assign({}, template, {
+      reader: {
+        _: null,
+        getHello({ store }) {
+          computeCount++;
+          return store.values.get().subValues.hello;
+        },
+      },
+    }));
+
+    expect(store.reader.getHello()).toEqual('world');
+
+    store.values.subValues.update({ hello: 'there' });
+
+    expect(store.reader.getHello()).toEqual('there');
+    expect(computeCount).toEqual(2);
+  });
+
+  it('preserves omitted sub scope state on a parent set() by default', () => {
+    store.values.replace({ here: 'no', there: 'yes' });
+
+    expect(store.getState().values).toEqual({
+      here:       'no',
+      there:      'yes',
+      subValues:  { test: true, hello: 'world' },
+    });
+  });
+
+  it('can reject a parent set() that omits sub scope state', () => {
+    store = createStore(template, { omittedSubScopes: 'reject' });
+
+    expect(() => store.values.replace({ here: 'no', there: 'yes' })).toThrow(new Error('Error: "values" the state value is missing the sub scope keys "subValues".'));
+    expect(store.getState().values.here).toEqual('yes');
+
+    store.values.replace({ here: 'no', there: 'yes', subValues: { test: false } });
+    expect(store.getState().values.subValues).toEqual({ test: false });
+  });
+
+  it('always carries over sub scope state on array scopes', () => {
+    store = createStore({
+      items: {
+        _:        [],
+        subItems: {
+          _: { key: true },
+        },
+        add({ get, set }, item) {
+          set([ ...get(), item ]);
+        },
+      },
+    }, { omittedSubScopes: 'reject' });
+
+    store.items.add({ id: 1 });
+
+    expect(store.getState().items.length).toEqual(1);
+    expect(store.getState().items.subItems).toEqual({ key: true });
+  });
+});
@@ -0,0 +1,243 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, createHistory } from '../src/index.js';
+import { nextUpdate } from './helpers/next-update.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store History', () => {
+  let counts;
+  let template;
+  let store;
+
+  beforeEach(() => {
+    counts = { get: 0 };
+
+    template = {
+      todos: {
+        _: [],
+        add({ get, set }, todo) {
+          set([ ...get(), todo ]);
+        },
+        get({ get }) {
+          counts.get++;
+
+          return get();
+        },
+      },
+      config: {
+        _: { theme: 'dark' },
+        setTheme({ get, set }, theme) {
+          set({ ...get(), theme });
+        },
+      },
+    };
+
+    store = createStore(template, { history: true });
+  });
+
+  it('can undo and redo updates', async () => {
+    expect(store.history.canUndo()).toBe(false);
+    expect(store.history.canRedo()).toBe(false);
+
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    store.todos.add({ id: 2 });
+    store.config.setTheme('light');
+    await nextUpdate(store);
+
+    expect(store.history.canUndo()).toBe(true);
+    expect(store.history.undo()).toBe(true);
+
+    expect(store.getState()).toEqual({ todos: [ { id: 1 } ], config: { theme: 'dark' } });
+    expect(store.history.canRedo()).toBe(true);
+
+    expect(store.history.undo()).toBe(true);
+    expect(store.getState()).toEqual({ todos: [], config: { theme: 'dark' } });
+
+    expect(store.history.canUndo()).toBe(false);
+    expect(store.history.undo()).toBe(false);
+
+    expect(store.history.redo()).toBe(true);
+    expect(store.history.redo()).toBe(true);
+    expect(store.getState()).toEqual({ todos: [ { id: 1 }, { id: 2 } ], config: { theme: 'light' } });
+
+    expect(store.history.canRedo()).toBe(false);
+    expect(store.history.redo()).toBe(false);
+  });
+
+  it('emits distinguishable update events that are not recorded', async () => {
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    let updatePromise = nextUpdate(store);
+    store.history.undo();
+
+    let { reason, modified } = await updatePromise;
+    expect(reason).toEqual('undo');
+    expect(modified).toEqual([ '*' ]);
+
+    // The undo was not recorded as new history
+    expect(store.history.canUndo()).toBe(false);
+    expect(store.history.canRedo()).toBe(true);
+
+    updatePromise = nextUpdate(store);
+    store.history.redo();
+
+    expect((await updatePromise).reason).toEqual('redo');
+    expect(store.history.canUndo()).toBe(true);
+    expect(store.history.canRedo()).toBe(false);
+  });
+
+  it('clears the redo stack on new updates', async () => {
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    store.history.undo();
+    await nextUpdate(store);
+
+    store.todos.add({ id: 2 });
+    await nextUpdate(store);
+
+    expect(store.history.canRedo()).toBe(false);
+    expect(store.todos.get()).toEqual([ { id: 2 } ]);
+  });
+
+  it('records writes made right after an undo', async () => {
+    let reasons = [];
+
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    store.on('update', ({ reason }) => reasons.push(reason));
+
+    // Updates with different reasons aren't batched together
+    store.history.undo();
+    store.todos.add({ id: 2 });
+    await nextUpdate(store);
+
+    expect(reasons).toEqual([ 'undo', 'update' ]);
+    expect(store.history.canRedo()).toBe(false);
+
+    store.history.undo();
+    expect(store.getState().todos).toEqual([]);
+  });
+
+  it('undoes writes made in the same tick', async () => {
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    store.todos.add({ id: 2 });
+    expect(store.history.undo()).toBe(true);
+
+    expect(store.todos.get()).toEqual([ { id: 1 } ]);
+    expect(store.history.canRedo()).toBe(true);
+
+    expect(store.history.redo()).toBe(true);
+    expect(store.todos.get()).toEqual([ { id: 1 }, { id: 2 } ]);
+
+    await nextUpdate(store);
+
+    expect(store.history.undo()).toBe(true);
+    expect(store.history.undo()).toBe(true);
+    expect(store.todos.get()).toEqual([]);
+  });
+
+  it('keeps writes made by listeners while a batch is emitted early', async () => {
+    let events = [];
+
+    store.on('update', ({ reason, modified }) => {
+      events.push({ reason, modified });
+
+      if (reason === 'hydrate')
+        store.config.setTheme('reacted');
+    });
+
+    store.hydrate({ todos: [], config: { theme: 'hydrated' } });
+    store.todos.add({ id: 1 });
+
+    // The hydrate batch was emitted before the write read the state
+    expect(events).toEqual([ { reason: 'hydrate', modified: [ '*' ] } ]);
+
+    await nextUpdate(store);
+
+    expect(events[1]).toEqual({ reason: 'update', modified: [ 'config', 'todos' ] });
+    expect(store.getState()).toEqual({ todos: [ { id: 1 } ], config: { theme: 'reacted' } });
+  });
+
+  it('clears method caches on undo', async () => {
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    expect(store.todos.get()).toEqual([ { id: 1 } ]);
+
+    store.history.undo();
+
+    expect(store.todos.get()).toEqual([]);
+    expect(counts.get).toEqual(2);
+  });
+
+  it('respects the max depth', async () => {
+    store = createStore(template, { history: { maxDepth: 2 } });
+
+    for (let i = 1; i <= 4; i++) {
+      store.todos.add({ id: i });
+      await nextUpdate(store);
+    }
+
+    expect(store.history.undo()).toBe(true);
+    expect(store.history.undo()).toBe(true);
+    expect(store.history.undo()).toBe(false);
+
+    expect(store.todos.get()).toEqual([ { id: 1 }, { id: 2 } ]);
+  });
+
+  it('can record history only for selected paths', async () => {
+    store = createStore(template, { history: { paths: [ 'todos' ] } });
+
+    store.config.setTheme('light');
+    await nextUpdate(store);
+
+    expect(store.history.canUndo()).toBe(false);
+
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    store.config.setTheme('blue');
+    await nextUpdate(store);
+
+    store.history.undo();
+
+    // Only the recorded paths are restored
+    expect(store.getState()).toEqual({ todos: [], config: { theme: 'blue' } });
+  });
+
+  it('can clear the history', async () => {
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    store.history.clear();
+
+    expect(store.history.canUndo()).toBe(false);
+    expect(store.history.undo()).toBe(false);
+  });
+
+  it('can create a history for an existing store', async () => {
+    store = createStore(template);
+
+    let history = createHistory(store);
+
+    store.todos.add({ id: 1 });
+    await nextUpdate(store);
+
+    history.undo();
+    expect(store.todos.get()).toEqual([]);
+
+    history.destroy();
+
+    store.todos.add({ id: 2 });
+    await nextUpdate(store);
+
+    expect(history.canUndo()).toBe(false);
+  });
+});
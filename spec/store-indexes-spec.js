@@ -0,0 +1,134 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, cloneStore, entityScope } from '../src/index.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Indexes', () => {
+  let indexed;
+
+  let store;
+
+  beforeEach(() => {
+    store = createStore({
+      citizens: {
+        _:       [],
+        indexes: {
+          byState: 'state',
+          byAge:   (citizen) => {
+            indexed++;
+            return (citizen.age >= 18) ? 'adult' : 'minor';
+          },
+        },
+        add({ get, set }, citizen) {
+          set([ ...get(), citizen ]);
+        },
+        replace({ set }, citizens) {
+          set(citizens);
+        },
+      },
+      users: entityScope({ idKey: 'id' }, {
+        indexes: {
+          byRole: 'role',
+        },
+      }),
+    });
+  });
+
+  beforeEach(() => {
+    indexed = 0;
+  });
+
+  it('can find items by an index', () => {
+    let bob   = { name: 'Bob', state: 'CA', age: 30 };
+    let alice = { name: 'Alice', state: 'NY', age: 12 };
+    let carol = { name: 'Carol', state: 'CA', age: 15 };
+
+    store.citizens.replace([ bob, alice, carol ]);
+
+    expect(store.citizens.findBy('byState', 'CA')).toEqual([ bob, carol ]);
+    expect(store.citizens.findBy('byState', 'TX')).toEqual([]);
+    expect(store.citizens.findBy('byAge', 'minor')).toEqual([ alice, carol ]);
+  });
+
+  it('updates indexes incrementally', () => {
+    let bob   = { name: 'Bob', state: 'CA', age: 30 };
+    let alice = { name: 'Alice', state: 'NY', age: 12 };
+    let carol = { name: 'Carol', state: 'CA', age: 15 };
+
+    store.citizens.replace([ bob, alice ]);
+    store.citizens.findBy('byAge', 'adult');
+    expect(indexed).toEqual(2);
+
+    store.citizens.add(carol);
+    expect(store.citizens.findBy('byState', 'CA')).toEqual([ bob, carol ]);
+    expect(indexed).toEqual(3);
+
+    // Removed and moved items
+    let alice2 = { ...alice, state: 'CA' };
+    store.citizens.replace([ carol, alice2 ]);
+
+    expect(store.citizens.findBy('byState', 'CA')).toEqual([ carol, alice2 ]);
+    expect(store.citizens.findBy('byState', 'NY')).toEqual([]);
+    expect(store.citizens.findBy('byAge', 'adult')).toEqual([]);
+    expect(indexed).toEqual(4);
+  });
+
+  it('caches queries until the scope changes', () => {
+    store.citizens.add({ name: 'Bob', state: 'CA', age: 30 });
+
+    let result = store.citizens.findBy('byState', 'CA');
+    expect(store.citizens.findBy('byState', 'CA')).toBe(result);
+
+    store.citizens.add({ name: 'Carol', state: 'CA', age: 15 });
+    expect(store.citizens.findBy('byState', 'CA').length).toEqual(2);
+  });
+
+  it('can index entity collections', () => {
+    store.users.upsertMany([
+      { id: 1, role: 'admin' },
+      { id: 2, role: 'user' },
+      { id: 3, role: 'admin' },
+    ]);
+
+    expect(store.users.findBy('byRole', 'admin').map((user) => user.id)).toEqual([ 1, 3 ]);
+
+    store.users.upsert({ id: 1, role: 'user' });
+    store.users.sortBy((userA, userB) => (userB.id - userA.id));
+
+    expect(store.users.findBy('byRole', 'user').map((user) => user.id)).toEqual([ 2, 1 ]);
+  });
+
+  it('indexes the state of cloned stores', () => {
+    store.citizens.add({ name: 'Bob', state: 'CA', age: 30 });
+
+    let clonedStore = cloneStore(store);
+    clonedStore.citizens.add({ name: 'Carol', state: 'CA', age: 15 });
+
+    expect(clonedStore.citizens.findBy('byState', 'CA').length).toEqual(2);
+    expect(cloneStore(store, true).citizens.findBy('byState', 'CA').length).toEqual(1);
+  });
+
+  it('validates indexes', () => {
+    expect(() => store.citizens.findBy('byCity', 'LA')).toThrow(new Error('Error: "citizens" has no index named "byCity".'));
+
+    expect(() => createStore({
+      citizens: {
+        _:       [],
+        indexes: {
+          byState: 1,
+        },
+      },
+    })).toThrow(new TypeError('Error: Value of "citizens.indexes.byState" is invalid. Indexes must be item keys, or functions.'));
+
+    let configStore = createStore({
+      config: {
+        _:       {},
+        indexes: {
+          byName: 'name',
+        },
+      },
+    });
+
+    expect(() => configStore.config.findBy('byName', 'a')).toThrow(new TypeError('Error: "config" indexes require the scope value to be an array, a Map, a Set, or an entity collection.'));
+  });
+});
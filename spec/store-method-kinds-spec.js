@@ -0,0 +1,139 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, cloneStore } from '../src/index.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Method Kinds', () => {
+  let calls;
+
+  let store;
+
+  beforeEach(() => {
+    store = createStore({
+      counter: {
+        _:       0,
+        actions: {
+          add({ get, set }, amount) {
+            set(get() + amount);
+          },
+        },
+        getters: {
+          get({ get }) {
+            calls++;
+            return get();
+          },
+          broken({ set }) {
+            set(1);
+          },
+        },
+        reset({ set }) {
+          set(0);
+        },
+      },
+      config: {
+        _: {},
+      },
+    });
+  });
+
+  beforeEach(() => {
+    calls = 0;
+  });
+
+  it('installs actions and getters on the scope', () => {
+    store.counter.add(2);
+    expect(store.counter.get()).toEqual(2);
+    expect(store.counter.actions).toBeUndefined();
+    expect(store.counter.getters).toBeUndefined();
+  });
+
+  it('never caches actions', () => {
+    store.counter.add(1);
+    store.counter.add(1);
+    store.counter.add(1);
+
+    expect(store.counter.get()).toEqual(3);
+  });
+
+  it('caches getters', () => {
+    store.counter.get();
+    store.counter.get();
+    expect(calls).toEqual(1);
+
+    store.counter.add(1);
+    store.counter.get();
+    expect(calls).toEqual(2);
+  });
+
+  it('does not allow getters to write state', () => {
+    expect(() => store.counter.broken()).toThrow(new Error('Error: "counter.broken" is a getter, and getters can not write state.'));
+    expect(store.counter.get()).toEqual(0);
+  });
+
+  it('can describe the store', () => {
+    expect(store.describe()).toEqual({
+      counter: {
+        path:     'counter',
+        actions:  [ 'add' ],
+        getters:  [ 'get', 'broken' ],
+        methods:  [ 'reset' ],
+      },
+      config: {
+        path:     'config',
+        actions:  [],
+        getters:  [],
+        methods:  [],
+      },
+    });
+
+    expect(Object.isFrozen(store.describe().counter.actions)).toBe(true);
+  });
+
+  it('keeps method kinds on cloned stores', () => {
+    let clonedStore = cloneStore(store);
+
+    clonedStore.counter.add(1);
+    clonedStore.counter.add(1);
+
+    expect(clonedStore.counter.get()).toEqual(2);
+    expect(() => clonedStore.counter.broken()).toThrow();
+    expect(clonedStore.describe()).toEqual(store.describe());
+    expect(cloneStore(store, true).describe()).toEqual(store.describe());
+  });
+
+  it('validates method groups', () => {
+    expect(() => createStore({
+      counter: {
+        _:       0,
+        actions: {
+          add: 1,
+        },
+      },
+    })).toThrow(new TypeError('Error: Value of "counter.actions.add" is invalid. All actions must be functions.'));
+
+    expect(() => createStore({
+      counter: {
+        _:       0,
+        actions: {
+          add() {},
+        },
+        getters: {
+          add() {},
+        },
+      },
+    })).toThrow(new Error('Error: "counter.add" is defined more than once.'));
+  });
+
+  it('still allows scopes named "actions" and "getters"', () => {
+    store = createStore({
+      actions: {
+        _: [],
+        get({ get }) {
+          return get();
+        },
+      },
+    });
+
+    expect(store.actions.get()).toEqual([]);
+  });
+});
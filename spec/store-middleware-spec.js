@@ -0,0 +1,238 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, cloneStore } from '../src/index.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Middleware', () => {
+  let template;
+  let store;
+
+  beforeEach(() => {
+    template = {
+      todos: {
+        _: [],
+        add({ get, set }, todo) {
+          set([ ...get(), todo ]);
+        },
+        get({ get }) {
+          return get();
+        },
+      },
+      config: {
+        _:          { theme: 'dark' },
+        userConfig: {
+          _: { name: '' },
+          setName({ get, set }, name) {
+            set({ ...get(), name });
+          },
+        },
+      },
+    };
+
+    store = createStore(template);
+  });
+
+  it('can observe scope method calls and writes', () => {
+    let calls = [];
+
+    store = createStore(template, {
+      middleware: [
+        (context, next) => {
+          let result = next();
+
+          calls.push({
+            type:           context.type,
+            path:           context.path,
+            methodName:     context.methodName,
+            args:           context.args,
+            previousValue:  context.previousValue,
+            nextValue:      context.nextValue,
+          });
+
+          return result;
+        },
+      ],
+    });
+
+    store.todos.add({ id: 1 });
+
+    expect(calls).toEqual([
+      {
+        type:           'set',
+        path:           'todos',
+        methodName:     'add',
+        args:           [ { id: 1 } ],
+        previousValue:  [],
+        nextValue:      [ { id: 1 } ],
+      },
+      {
+        type:           'call',
+        path:           'todos',
+        methodName:     'add',
+        args:           [ { id: 1 } ],
+        previousValue:  [],
+        nextValue:      [ { id: 1 } ],
+      },
+    ]);
+  });
+
+  it('reports the full path of sub-scopes', () => {
+    let paths = [];
+
+    store = createStore(template, {
+      middleware: (context, next) => {
+        paths.push(`${context.type}:${context.path}.${context.methodName}`);
+        return next();
+      },
+    });
+
+    store.config.userConfig.setName('Bob');
+
+    expect(paths).toEqual([
+      'call:config.userConfig.setName',
+      'set:config.userConfig.setName',
+    ]);
+
+    expect(store.getState().config.userConfig).toEqual({ name: 'Bob' });
+  });
+
+  it('can veto writes', () => {
+    store = createStore(template, {
+      middleware: (context, next) => {
+        if (context.type === 'set' && context.nextValue.length > 1)
+          return;
+
+        return next();
+      },
+    });
+
+    store.todos.add({ id: 1 });
+    store.todos.add({ id: 2 });
+
+    expect(store.todos.get()).toEqual([ { id: 1 } ]);
+  });
+
+  it('can veto method calls and provide a result', () => {
+    store = createStore(template, {
+      middleware: (context, next) => {
+        if (context.type === 'call' && context.methodName === 'get')
+          return 'vetoed';
+
+        return next();
+      },
+    });
+
+    store.todos.add({ id: 1 });
+
+    expect(store.todos.get()).toEqual('vetoed');
+    expect(store.getState().todos).toEqual([ { id: 1 } ]);
+  });
+
+  it('can transform arguments and written values', () => {
+    store = createStore(template, {
+      middleware: [
+        (context, next) => {
+          if (context.type === 'call' && context.methodName === 'add')
+            context.args = [ Object.assign({ validated: true }, context.args[0]) ];
+
+          return next();
+        },
+        (context, next) => {
+          if (context.type === 'set')
+            context.nextValue = context.nextValue.map((todo) => Object.assign({}, todo, { audited: true }));
+
+          return next();
+        },
+      ],
+    });
+
+    store.todos.add({ id: 1 });
+
+    expect(store.todos.get()).toEqual([ { validated: true, id: 1, audited: true } ]);
+  });
+
+  it('runs middleware in order', () => {
+    let order = [];
+
+    store = createStore(template, {
+      middleware: [
+        (context, next) => {
+          order.push('first:before');
+          let result = next();
+          order.push('first:after');
+          return result;
+        },
+        (context, next) => {
+          order.push('second:before');
+          let result = next();
+          order.push('second:after');
+          return result;
+        },
+      ],
+    });
+
+    store.todos.get();
+
+    expect(order).toEqual([
+      'first:before',
+      'second:before',
+      'second:after',
+      'first:after',
+    ]);
+  });
+
+  it('keeps running middleware on cloned stores', () => {
+    let calls = [];
+
+    store = createStore(template, {
+      middleware: (context, next) => {
+        calls.push(context.store);
+        return next();
+      },
+    });
+
+    let clonedStore = cloneStore(store);
+    clonedStore.todos.add({ id: 1 });
+
+    expect(calls.length).toEqual(2);
+    expect(calls[0]).toBe(clonedStore);
+    expect(calls[1]).toBe(clonedStore);
+    expect(clonedStore.todos.get()).toEqual([ { id: 1 } ]);
+    expect(store.getState().todos).toEqual([]);
+  });
+
+  it('does not run middleware for scope default values', () => {
+    let calls = 0;
+
+    createStore(template, {
+      middleware: (context, next) => {
+        calls++;
+        return next();
+      },
+    });
+
+    expect(calls).toEqual(0);
+  });
+
+  it('can add and remove middleware after the store was created', () => {
+    let calls = [];
+
+    let remove = store.use((context, next) => {
+      calls.push(context.type);
+      return next();
+    });
+
+    store.todos.add({ id: 1 });
+    expect(calls).toEqual([ 'call', 'set' ]);
+
+    remove();
+    store.todos.add({ id: 2 });
+    expect(calls.length).toEqual(2);
+
+    expect(() => store.use('derp')).toThrow(new TypeError('Error: Unable to use middleware, provided "middleware" must be a function.'));
+  });
+
+  it('will throw on invalid middleware', () => {
+    expect(() => createStore(template, { middleware: [ 'derp' ] })).toThrow(new TypeError('createStore: provided "middleware" must be a function, or an array of functions.'));
+  });
+});
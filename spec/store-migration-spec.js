@@ -0,0 +1,144 @@
+/* eslint-disable no-magic-numbers */
+import { createStore } from '../src/index.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Migrations', () => {
+  let template;
+  let store;
+
+  beforeEach(() => {
+    template = {
+      todos: {
+        _: [],
+        get({ get }) {
+          return get();
+        },
+      },
+      config: {
+        _:          { theme: 'dark' },
+        userConfig: {
+          _: { firstName: '', lastName: '' },
+        },
+      },
+    };
+
+    store = createStore(template);
+  });
+
+  it('can take a versioned snapshot', () => {
+    store = createStore(template, { version: 3 });
+
+    expect(store.getSnapshot()).toEqual({
+      $version: 3,
+      state:    {
+        todos:  [],
+        config: { theme: 'dark', userConfig: { firstName: '', lastName: '' } },
+      },
+    });
+
+    expect(createStore(template).getSnapshot().$version).toEqual(0);
+  });
+
+  it('runs migrations in order on versioned snapshots', () => {
+    let calls = [];
+
+    store = createStore(template, {
+      version:    3,
+      migrations: {
+        1: (state) => {
+          calls.push(1);
+          return { ...state, todos: state.todos.map((todo) => ({ todo })) };
+        },
+        2: (state) => {
+          calls.push(2);
+          return { ...state, todos: state.todos.map((todo, index) => ({ ...todo, id: index })) };
+        },
+        3: (state) => {
+          calls.push(3);
+
+          let [ firstName, lastName ] = state.config.userConfig.name.split(' ');
+          return { ...state, config: { ...state.config, userConfig: { firstName, lastName } } };
+        },
+      },
+    });
+
+    store.hydrate({
+      $version: 1,
+      state:    {
+        todos:  [ { todo: 'Do things!' } ],
+        config: { theme: 'light', userConfig: { name: 'Bob Brown' } },
+      },
+    });
+
+    expect(calls).toEqual([ 2, 3 ]);
+    expect(store.getState()).toEqual({
+      todos:  [ { todo: 'Do things!', id: 0 } ],
+      config: { theme: 'light', userConfig: { firstName: 'Bob', lastName: 'Brown' } },
+    });
+  });
+
+  it('can hydrate with an explicit version', () => {
+    store = createStore(template, {
+      version:    1,
+      migrations: [
+        null,
+        (state) => ({ ...state, todos: state.todos.map((todo) => ({ todo })) }),
+      ],
+    });
+
+    store.hydrate({ todos: [ 'Do things!' ] }, { version: 0 });
+
+    expect(store.todos.get()).toEqual([ { todo: 'Do things!' } ]);
+  });
+
+  it('backfills missing scopes from their default values', () => {
+    store = createStore(template, { version: 1 });
+
+    store.hydrate({ $version: 1, state: { todos: [ 1 ], config: { theme: 'light' } } });
+
+    expect(store.getState()).toEqual({
+      todos:  [ 1 ],
+      config: { theme: 'light', userConfig: { firstName: '', lastName: '' } },
+    });
+
+    store.hydrate({ $version: 0, state: {} });
+
+    expect(store.getState()).toEqual({
+      todos:  [],
+      config: { theme: 'dark', userConfig: { firstName: '', lastName: '' } },
+    });
+  });
+
+  it('round-trips snapshots', () => {
+    store = createStore(template, { version: 2 });
+    store.hydrate({ $version: 2, state: { todos: [ 1, 2 ] } });
+
+    let newStore = createStore(template, { version: 2 });
+    newStore.hydrate(JSON.parse(JSON.stringify(store.getSnapshot())));
+
+    expect(newStore.getState()).toEqual(store.getState());
+  });
+
+  it('will throw on unknown future versions', () => {
+    store = createStore(template, { version: 1 });
+
+    expect(() => store.hydrate({ $version: 2, state: {} })).toThrow(new Error('Error: Unable to hydrate state of version 2, the store is at version 1. Unknown future versions can not be migrated.'));
+    expect(store.getState().todos).toEqual([]);
+  });
+
+  it('does not migrate unversioned state', () => {
+    store = createStore(template, {
+      version:    1,
+      migrations: { 1: () => ({ todos: [ 'migrated' ] }) },
+    });
+
+    store.hydrate({ todos: [ 'raw' ] });
+
+    expect(store.getState()).toEqual({ todos: [ 'raw' ] });
+  });
+
+  it('will throw on an invalid store version', () => {
+    expect(() => createStore(template, { version: 1.5 })).toThrow(new TypeError('createStore: provided "version" must be a non-negative integer.'));
+  });
+});
@@ -0,0 +1,150 @@
+/* eslint-disable no-magic-numbers */
+import { createStore } from '../src/index.js';
+import { nextUpdate } from './helpers/next-update.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Partial Hydrate', () => {
+  let counts;
+  let store;
+
+  beforeEach(() => {
+    counts = { frames: 0, index: 0, config: 0 };
+
+    store = createStore({
+      frames: {
+        _: {},
+        get({ get }) {
+          counts.frames++;
+          return get();
+        },
+        index: {
+          _: {},
+          get({ get }) {
+            counts.index++;
+            return get();
+          },
+        },
+      },
+      layers: {
+        _:     [],
+        index: {
+          _: {},
+        },
+      },
+      config: {
+        _: { theme: 'dark', layout: { columns: 2, rows: 2 }, tags: [ 'a' ] },
+        get({ get }) {
+          counts.config++;
+          return get();
+        },
+      },
+    });
+  });
+
+  it('can hydrate a single scope path', async () => {
+    store.frames.get();
+    store.config.get();
+
+    let previousConfig = store.getState().config;
+
+    store.hydrate({ f1: { id: 'f1' } }, { path: 'frames' });
+
+    expect(store.getState().frames).toEqual({ f1: { id: 'f1' } });
+    expect(Object.isFrozen(store.getState().frames)).toBe(true);
+    expect(store.getState().config).toBe(previousConfig);
+
+    store.frames.get();
+    store.config.get();
+
+    // Only the hydrated scope was invalidated
+    expect(counts.frames).toEqual(2);
+    expect(counts.config).toEqual(1);
+
+    let { modified, reason } = await nextUpdate(store);
+    expect(modified).toEqual([ 'frames' ]);
+    expect(reason).toEqual('hydrate');
+  });
+
+  it('can deep merge a patch', async () => {
+    let previousFrames = store.getState().frames;
+
+    store.hydrate({ config: { layout: { columns: 4 }, tags: [ 'b', 'c' ] } }, { merge: true });
+
+    expect(store.getState().config).toEqual({ theme: 'dark', layout: { columns: 4, rows: 2 }, tags: [ 'b', 'c' ] });
+    expect(Object.isFrozen(store.getState().config.layout)).toBe(true);
+    expect(store.getState().frames).toBe(previousFrames);
+
+    let { modified } = await nextUpdate(store);
+    expect(modified).toEqual([ 'config' ]);
+  });
+
+  it('reports the deepest modified scopes', async () => {
+    store.frames.get();
+    store.frames.index.get();
+
+    store.hydrate({ index: { f1: 0 } }, { path: 'frames', merge: true });
+
+    let { modified } = await nextUpdate(store);
+    expect(modified).toEqual([ 'frames.index' ]);
+    expect(store.getState().frames).toEqual({ index: { f1: 0 } });
+
+    store.frames.index.get();
+    expect(counts.index).toEqual(2);
+  });
+
+  it('merges into the sub-scopes of array scopes', async () => {
+    store.hydrate([ { id: 'l1' } ], { path: 'layers' });
+    await nextUpdate(store);
+
+    store.hydrate({ layers: { index: { l1: 0 } } }, { merge: true });
+
+    let layers = store.getState().layers;
+    expect(Array.isArray(layers)).toBe(true);
+    expect(Array.from(layers)).toEqual([ { id: 'l1' } ]);
+    expect(layers.index).toEqual({ l1: 0 });
+
+    let { modified } = await nextUpdate(store);
+    expect(modified).toEqual([ 'layers.index' ]);
+  });
+
+  it('reports scopes whose value was replaced', async () => {
+    store.hydrate(null, { path: 'layers' });
+    await nextUpdate(store);
+
+    store.hydrate({ layers: { index: { l1: 0 } } }, { merge: true });
+    expect(store.getState().layers).toEqual({ index: { l1: 0 } });
+
+    let { modified } = await nextUpdate(store);
+    expect(modified).toEqual([ 'layers' ]);
+  });
+
+  it('does nothing when the patch changes nothing', async () => {
+    let state   = store.getState();
+    let updates = 0;
+
+    store.on('update', () => updates++);
+
+    store.hydrate({ config: { theme: 'dark', layout: { rows: 2 } } }, { merge: true });
+    await Promise.resolve();
+
+    expect(store.getState()).toBe(state);
+    expect(updates).toEqual(0);
+  });
+
+  it('can be staged in a transaction', async () => {
+    store.transaction(() => {
+      store.hydrate({ theme: 'light' }, { path: 'config', merge: true, reason: 'server' });
+      expect(store.getState().config.theme).toEqual('light');
+    });
+
+    let { modified, reason } = await nextUpdate(store);
+    expect(modified).toEqual([ 'config' ]);
+    expect(reason).toEqual('server');
+  });
+
+  it('validates its options', () => {
+    expect(() => store.hydrate({}, { path: '' })).toThrow(new TypeError('Error: Unable to hydrate, provided "path" must be a non-empty string.'));
+    expect(() => store.hydrate([], { merge: true })).toThrow(new TypeError('Error: Unable to merge, provided "value" must be a plain object.'));
+  });
+});
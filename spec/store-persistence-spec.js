@@ -0,0 +1,331 @@
+/* eslint-disable no-magic-numbers */
+import FileSystem from 'node:fs/promises';
+import OS from 'node:os';
+import Path from 'node:path';
+import {
+  createStore,
+  persistStore,
+  createKeyValueAdapter,
+} from '../src/index.js';
+import { createFileSystemAdapter } from '../src/adapters/file-system-adapter.js';
+
+/* global describe, it, expect, beforeEach, afterEach */
+
+describe('Store Persistence', () => {
+  const createMemoryStorage = (initialData) => {
+    let data = Object.assign({}, initialData || {});
+
+    return {
+      data,
+      getItem:    (key) => (Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null),
+      setItem:    (key, value) => {
+        data[key] = value;
+      },
+      removeItem: (key) => {
+        delete data[key];
+      },
+    };
+  };
+
+  let template;
+  let store;
+
+  beforeEach(() => {
+    template = {
+      todos: {
+        _: [],
+        add({ get, set }, todo) {
+          set([ ...get(), todo ]);
+        },
+        get({ get }) {
+          return get();
+        },
+      },
+      config: {
+        _:          { theme: 'dark' },
+        userConfig: {
+          _: { name: '' },
+          setName({ get, set }, name) {
+            set({ ...get(), name });
+          },
+        },
+        setTheme({ get, set }, theme) {
+          set({ ...get(), theme });
+        },
+      },
+    };
+
+    store = createStore(template);
+  });
+
+  const settle = (time) => {
+    return new Promise((resolve) => {
+      setTimeout(resolve, time || 5);
+    });
+  };
+
+  it('saves on update events', async () => {
+    let storage   = createMemoryStorage();
+    let persistor = persistStore(store, createKeyValueAdapter(storage), { key: 'app', version: 1 });
+
+    await persistor.ready;
+
+    store.todos.add({ id: 1 });
+    await settle();
+
+    expect(JSON.parse(storage.data.app)).toEqual({
+      version:  1,
+      state:    {
+        todos:  [ { id: 1 } ],
+        config: { theme: 'dark', userConfig: { name: '' } },
+      },
+    });
+  });
+
+  it('restores on startup via hydrate()', async () => {
+    let storage = createMemoryStorage({
+      app: JSON.stringify({ version: 1, state: { todos: [ { id: 1 } ], config: { theme: 'light', userConfig: { name: 'Bob' } } } }),
+    });
+
+    let reason;
+
+    store.on('update', (event) => {
+      reason = event.reason;
+    });
+
+    // Prime the cache to make sure it is cleared by the restore
+    expect(store.todos.get()).toEqual([]);
+
+    await persistStore(store, createKeyValueAdapter(storage), { key: 'app', version: 1 }).ready;
+
+    expect(store.todos.get()).toEqual([ { id: 1 } ]);
+    expect(store.getState().config).toEqual({ theme: 'light', userConfig: { name: 'Bob' } });
+
+    await settle();
+    expect(reason).toEqual('restore');
+  });
+
+  it('can include only specific paths', async () => {
+    let storage   = createMemoryStorage();
+    let persistor = persistStore(store, createKeyValueAdapter(storage), { paths: [ 'config.userConfig' ] });
+
+    await persistor.ready;
+
+    store.todos.add({ id: 1 });
+    await settle();
+
+    // Nothing included was modified
+    expect(storage.data.seqda).toBeUndefined();
+
+    store.config.userConfig.setName('Bob');
+    await settle();
+
+    expect(JSON.parse(storage.data.seqda).state).toEqual({ config: { userConfig: { name: 'Bob' } } });
+
+    let newStore = createStore(template);
+    newStore.config.setTheme('light');
+
+    await persistStore(newStore, createKeyValueAdapter(storage), { paths: [ 'config.userConfig' ] }).ready;
+
+    expect(newStore.getState().config).toEqual({ theme: 'light', userConfig: { name: 'Bob' } });
+  });
+
+  it('can exclude paths', async () => {
+    let storage   = createMemoryStorage();
+    let persistor = persistStore(store, createKeyValueAdapter(storage), { exclude: [ 'config.userConfig' ] });
+
+    await persistor.ready;
+
+    store.config.userConfig.setName('Bob');
+    await settle();
+
+    expect(storage.data.seqda).toBeUndefined();
+
+    store.config.setTheme('light');
+    await settle();
+
+    expect(JSON.parse(storage.data.seqda).state).toEqual({ todos: [], config: { theme: 'light' } });
+
+    let newStore = createStore(template);
+    newStore.config.userConfig.setName('Alice');
+
+    await persistStore(newStore, createKeyValueAdapter(storage), { exclude: [ 'config.userConfig' ] }).ready;
+
+    expect(newStore.getState().config).toEqual({ theme: 'light', userConfig: { name: 'Alice' } });
+  });
+
+  it('can debounce saves', async () => {
+    let saves     = 0;
+    let storage   = createMemoryStorage();
+    let setItem   = storage.setItem;
+
+    storage.setItem = (key, value) => {
+      saves++;
+      return setItem(key, value);
+    };
+
+    let persistor = persistStore(store, createKeyValueAdapter(storage), { debounce: 20 });
+    await persistor.ready;
+
+    store.todos.add({ id: 1 });
+    await settle();
+    store.todos.add({ id: 2 });
+    await settle();
+
+    expect(saves).toEqual(0);
+
+    await persistor.flush();
+
+    expect(saves).toEqual(1);
+    expect(JSON.parse(storage.data.seqda).state.todos.length).toEqual(2);
+  });
+
+  it('migrates persisted state from other versions', async () => {
+    let storage = createMemoryStorage({
+      seqda: JSON.stringify({ version: 1, state: { todos: [ 'Do things!' ] } }),
+    });
+
+    await persistStore(store, createKeyValueAdapter(storage), {
+      version: 2,
+      migrate: (state, version) => {
+        expect(version).toEqual(1);
+        return { todos: state.todos.map((todo, index) => ({ id: index, todo })) };
+      },
+    }).ready;
+
+    expect(store.todos.get()).toEqual([ { id: 0, todo: 'Do things!' } ]);
+  });
+
+  it('discards persisted state from other versions without a migration', async () => {
+    let storage = createMemoryStorage({
+      seqda: JSON.stringify({ version: 1, state: { todos: [ 'Do things!' ] } }),
+    });
+
+    await persistStore(store, createKeyValueAdapter(storage), { version: 2 }).ready;
+
+    expect(store.todos.get()).toEqual([]);
+  });
+
+  it('can stop and purge', async () => {
+    let storage   = createMemoryStorage();
+    let persistor = persistStore(store, createKeyValueAdapter(storage));
+
+    await persistor.ready;
+
+    store.todos.add({ id: 1 });
+    await settle();
+
+    expect(storage.data.seqda).toBeDefined();
+
+    await persistor.purge();
+    persistor.stop();
+
+    expect(storage.data.seqda).toBeUndefined();
+
+    store.todos.add({ id: 2 });
+    await settle();
+
+    expect(storage.data.seqda).toBeUndefined();
+  });
+
+  it('reports save errors', async () => {
+    let persistor = persistStore(store, {
+      getItem:    () => null,
+      setItem:    () => Promise.reject(new Error('Disk full')),
+      removeItem: () => {},
+    });
+
+    await persistor.ready;
+
+    let errorPromise = new Promise((resolve) => {
+      store.once('persistError', ({ error }) => resolve(error));
+    });
+
+    store.todos.add({ id: 1 });
+
+    expect(await errorPromise).toEqual(new Error('Disk full'));
+  });
+
+  it('reports restore errors', async () => {
+    let storage = createMemoryStorage({ app: '{ corrupt' });
+    let errors  = [];
+
+    store.on('persistError', ({ error }) => errors.push(error));
+
+    await persistStore(store, createKeyValueAdapter(storage), { key: 'app' }).ready;
+
+    await persistStore(store, {
+      getItem:    () => Promise.reject(new Error('Disk gone')),
+      setItem:    () => {},
+      removeItem: () => {},
+    }).ready;
+
+    expect(errors.length).toEqual(2);
+    expect(errors[0] instanceof SyntaxError).toBe(true);
+    expect(errors[1]).toEqual(new Error('Disk gone'));
+    expect(store.todos.get()).toEqual([]);
+  });
+
+  it('does not save the state it just restored', async () => {
+    let storage = createMemoryStorage({
+      app: JSON.stringify({ version: 0, state: { todos: [ { id: 1 } ] } }),
+    });
+
+    let setItem = storage.setItem;
+    let saves   = 0;
+
+    storage.setItem = (key, value) => {
+      saves++;
+      return setItem(key, value);
+    };
+
+    await persistStore(store, createKeyValueAdapter(storage), { key: 'app' }).ready;
+    await settle();
+
+    expect(store.todos.get()).toEqual([ { id: 1 } ]);
+    expect(saves).toEqual(0);
+
+    store.todos.add({ id: 2 });
+    await settle();
+
+    expect(saves).toEqual(1);
+  });
+
+  it('will throw on invalid adapters', () => {
+    expect(() => persistStore(store, { getItem: () => null })).toThrow(new TypeError('persistStore: provided "adapter" must implement "setItem".'));
+  });
+
+  describe('createFileSystemAdapter', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await FileSystem.mkdtemp(Path.join(OS.tmpdir(), 'seqda-'));
+    });
+
+    afterEach(async () => {
+      await FileSystem.rm(directory, { recursive: true, force: true });
+    });
+
+    it('can save and restore a store', async () => {
+      let adapter   = createFileSystemAdapter(Path.join(directory, 'nested'));
+      let persistor = persistStore(store, adapter, { key: 'app' });
+
+      await persistor.ready;
+
+      store.todos.add({ id: 1 });
+      await settle();
+      await persistor.flush();
+
+      let content = await FileSystem.readFile(Path.join(directory, 'nested', 'app.json'), 'utf8');
+      expect(JSON.parse(content).state.todos).toEqual([ { id: 1 } ]);
+
+      let newStore = createStore(template);
+      await persistStore(newStore, adapter, { key: 'app' }).ready;
+
+      expect(newStore.todos.get()).toEqual([ { id: 1 } ]);
+
+      await adapter.removeItem('app');
+      expect(await adapter.getItem('app')).toBe(null);
+    });
+  });
+});
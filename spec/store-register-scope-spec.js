@@ -0,0 +1,123 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, cloneStore, Types } from '../src/index.js';
+import { nextUpdate } from './helpers/next-update.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Register Scope', () => {
+  let featureTemplate;
+  let store;
+
+  beforeEach(() => {
+    featureTemplate = {
+      _: { items: [] },
+      add({ get, set }, item) {
+        set({ ...get(), items: [ ...get().items, item ] });
+      },
+      get({ get }) {
+        return get();
+      },
+      settings: {
+        _: { enabled: true },
+      },
+    };
+
+    store = createStore({
+      users: {
+        _: [],
+        get({ get }) {
+          return get();
+        },
+      },
+    });
+  });
+
+  it('can register scopes at runtime', async () => {
+    let scope = store.registerScope('feature', featureTemplate);
+
+    expect(scope).toBe(store.feature);
+    expect(store.getState().feature).toEqual({ items: [], settings: { enabled: true } });
+
+    let event = await nextUpdate(store);
+    expect(event.modified).toEqual([ 'feature', 'feature.settings' ]);
+    expect(event.reason).toEqual('registerScope');
+    expect(event.previousStore.getState().feature).toBeUndefined();
+
+    store.feature.add('a');
+    expect(store.feature.get().items).toEqual([ 'a' ]);
+    expect(Object.keys(store.describe())).toEqual([ 'users', 'feature', 'feature.settings' ]);
+  });
+
+  it('invalidates the caches of registered scopes', () => {
+    store.registerScope('feature', featureTemplate);
+
+    let feature = store.feature.get();
+    store.hydrate({ users: [], feature: { items: [ 'b' ], settings: {} } });
+
+    expect(store.feature.get()).not.toBe(feature);
+    expect(store.feature.get().items).toEqual([ 'b' ]);
+  });
+
+  it('can unregister scopes', async () => {
+    store.registerScope('feature', featureTemplate);
+    await nextUpdate(store);
+
+    store.unregisterScope('feature');
+
+    expect(store.feature).toBeUndefined();
+    expect(store.getState()).toEqual({ users: [] });
+    expect(Object.keys(store.describe())).toEqual([ 'users' ]);
+
+    let event = await nextUpdate(store);
+    expect(event.modified).toEqual([ 'feature' ]);
+    expect(event.reason).toEqual('unregisterScope');
+
+    // Can be registered again
+    store.registerScope('feature', featureTemplate);
+    expect(store.feature.get().items).toEqual([]);
+  });
+
+  it('validates registered schemas', () => {
+    expect(() => store.registerScope('count', {
+      _:      'zero',
+      schema: Types.number,
+    })).toThrow();
+
+    // Nothing is left behind
+    expect(store.count).toBeUndefined();
+    expect(store.getState()).toEqual({ users: [] });
+    expect(Object.keys(store.describe())).toEqual([ 'users' ]);
+  });
+
+  it('carries registered scopes over to cloned stores', () => {
+    store.registerScope('feature', featureTemplate);
+    store.feature.add('a');
+
+    let clonedStore = cloneStore(store);
+    expect(clonedStore.feature.get().items).toEqual([ 'a' ]);
+
+    clonedStore.feature.add('b');
+    expect(clonedStore.feature.get().items).toEqual([ 'a', 'b' ]);
+    expect(store.getState().feature.items).toEqual([ 'a' ]);
+
+    // Unregistering only affects the store it was unregistered on
+    store.unregisterScope('feature');
+    expect(clonedStore.getState().feature.items).toEqual([ 'a', 'b' ]);
+    expect(Object.keys(clonedStore.describe())).toEqual([ 'users', 'feature', 'feature.settings' ]);
+
+    let readOnlyStore = cloneStore(store, true);
+    expect(readOnlyStore.registerScope).toBeUndefined();
+  });
+
+  it('validates scope registrations', () => {
+    expect(() => store.registerScope('a.b', featureTemplate)).toThrow(new TypeError('Error: Unable to register scope, provided "path" must be a top-level scope name.'));
+    expect(() => store.registerScope('feature', {})).toThrow(new TypeError('Error: Unable to register scope "feature", provided "template" must be an object with a "_" default value.'));
+    expect(() => store.registerScope('users', featureTemplate)).toThrow(new Error('Error: Unable to register scope "users", the store already has a "users" property.'));
+    expect(() => store.registerScope('on', featureTemplate)).toThrow(new Error('Error: Unable to register scope "on", the store already has a "on" property.'));
+    expect(() => store.unregisterScope('feature')).toThrow(new Error('Error: Unable to unregister scope "feature", no such scope exists.'));
+
+    expect(() => store.transaction(() => {
+      store.registerScope('feature', featureTemplate);
+    })).toThrow(new Error('Error: Unable to register scope "feature" while a transaction is running.'));
+  });
+});
@@ -0,0 +1,143 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, Types } from '../src/index.js';
+
+/* global describe, it, expect, fail, beforeEach */
+
+describe('Store Schema', () => {
+  let template;
+  let store;
+
+  beforeEach(() => {
+    template = {
+      todos: {
+        _:      [],
+        schema: Types.arrayOf({
+          id:     Types.number,
+          title:  Types.string,
+          state:  Types.oneOf([ 'open', 'done' ]),
+          due:    Types.nullable(Types.string),
+        }),
+        replace({ set }, todos) {
+          set(todos);
+        },
+      },
+      config: {
+        _:      { theme: 'dark', columns: 2 },
+        schema: Types.shape({
+          theme:    Types.oneOf([ 'dark', 'light' ]),
+          columns:  Types.custom((value) => (Number.isInteger(value) && value > 0) || 'must be a positive integer.'),
+        }, { exact: true }),
+        update({ get, set }, values) {
+          set({ ...get(), ...values });
+        },
+      },
+    };
+
+    store = createStore(template);
+  });
+
+  it('allows valid values', () => {
+    store.todos.replace([ { id: 1, title: 'Test', state: 'open', due: null } ]);
+    store.config.update({ theme: 'light' });
+
+    expect(store.getState().todos.length).toEqual(1);
+    expect(store.getState().config.theme).toEqual('light');
+  });
+
+  it('throws on invalid set() values', () => {
+    expect(() => store.todos.replace('nope')).toThrow(new TypeError('Error: Schema validation failed. "todos" must be an array, but received a string.'));
+    expect(() => store.todos.replace([ { id: 1, title: 2, state: 'closed', due: null } ])).toThrow(new TypeError('Error: Schema validation failed. "todos.0.title" must be a string, but received a number. "todos.0.state" must be one of "open", "done", but received "closed".'));
+    expect(() => store.config.update({ columns: -1 })).toThrow(new TypeError('Error: Schema validation failed. "config.columns" must be a positive integer.'));
+    expect(() => store.config.update({ extra: true })).toThrow(new TypeError('Error: Schema validation failed. "config.extra" is not an allowed key.'));
+
+    // Nothing was written
+    expect(store.getState().todos).toEqual([]);
+    expect(store.getState().config).toEqual({ theme: 'dark', columns: 2 });
+  });
+
+  it('reports the violations on the error', () => {
+    try {
+      store.todos.replace([ { id: '1', title: 'Test', state: 'open' } ]);
+      fail('expected an error');
+    } catch (error) {
+      expect(error.errors.map(({ path }) => path)).toEqual([ 'todos.0.id' ]);
+      expect(error.errors[0].value).toEqual('1');
+    }
+  });
+
+  it('validates default values', () => {
+    expect(() => createStore({
+      list: {
+        _:      {},
+        schema: Types.arrayOf(Types.string),
+      },
+    })).toThrow(new TypeError('Error: Schema validation failed. "list" must be an array, but received an object.'));
+  });
+
+  it('validates hydrated state', () => {
+    expect(() => store.hydrate({ todos: [ 1 ], config: { theme: 'dark', columns: 2 } })).toThrow();
+    expect(() => store.hydrate({ theme: 'blue' }, { path: 'config', merge: true })).toThrow();
+    expect(store.getState().config.theme).toEqual('dark');
+
+    store.hydrate({ columns: 3 }, { path: 'config', merge: true });
+    expect(store.getState().config.columns).toEqual(3);
+  });
+
+  it('validates a root schema', () => {
+    expect(() => createStore({
+      schema:  Types.shape({ counter: Types.number }),
+      counter: {
+        _: 'zero',
+      },
+    })).toThrow();
+
+    store = createStore({
+      schema:  Types.shape({ counter: Types.number }),
+      counter: {
+        _: 0,
+        set({ set }, value) {
+          set(value);
+        },
+      },
+    });
+
+    expect(() => store.counter.set('one')).toThrow();
+    expect(store.getState().counter).toEqual(0);
+
+    store.hydrate({ counter: 2 });
+    expect(store.getState().counter).toEqual(2);
+
+    expect(() => store.hydrate({ counter: 'three' })).toThrow();
+    expect(store.getState().counter).toEqual(2);
+  });
+
+  it('can report violations instead of throwing', async () => {
+    store   = createStore(template, { validation: 'report' });
+    let reports = [];
+
+    store.on('validationError', ({ errors }) => reports.push(errors));
+
+    store.config.update({ theme: 'blue' });
+
+    expect(store.getState().config.theme).toEqual('blue');
+    expect(reports.length).toEqual(1);
+    expect(reports[0][0].path).toEqual('config.theme');
+  });
+
+  it('allows methods named "schema"', () => {
+    store = createStore({
+      forms: {
+        _: {},
+        schema() {
+          return 'method';
+        },
+      },
+    });
+
+    expect(store.forms.schema()).toEqual('method');
+  });
+
+  it('validates the "validation" option', () => {
+    expect(() => createStore({}, { validation: 'warn' })).toThrow(new TypeError('createStore: provided "validation" must be "throw" or "report".'));
+  });
+});
@@ -0,0 +1,130 @@
+/* eslint-disable no-magic-numbers */
+import { createStore } from '../src/index.js';
+import { nextUpdate } from './helpers/next-update.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store SetIn', () => {
+  let template;
+  let store;
+
+  beforeEach(() => {
+    template = {
+      frames: {
+        _: [
+          { id: 'f1', content: { text: 'hello' } },
+          { id: 'f2', content: { text: 'world' } },
+        ],
+        setText({ setIn }, index, text) {
+          return setIn(`${index}.content.text`, text);
+        },
+        getText({ getIn }, index) {
+          return getIn(`${index}.content.text`);
+        },
+        removeContent({ deleteIn }, index) {
+          deleteIn(`${index}.content`);
+        },
+        replace({ set }, frames) {
+          set(frames);
+        },
+        get({ get }) {
+          return get();
+        },
+      },
+      config: {
+        _: {},
+        setOption({ setIn }, subPath, value) {
+          setIn(subPath, value);
+        },
+      },
+    };
+
+    store = createStore(template);
+  });
+
+  it('can get, set, and delete values at sub paths', () => {
+    let previous = store.frames.get();
+
+    expect(store.frames.getText(1)).toEqual('world');
+
+    store.frames.setText(1, 'CHANGED');
+
+    let frames = store.frames.get();
+    expect(frames[1].content.text).toEqual('CHANGED');
+    expect(store.frames.getText(1)).toEqual('CHANGED');
+
+    // Structurally shared, and frozen along the path
+    expect(frames[0]).toBe(previous[0]);
+    expect(Object.isFrozen(frames)).toBe(true);
+    expect(Object.isFrozen(frames[1])).toBe(true);
+    expect(Object.isFrozen(frames[1].content)).toBe(true);
+    expect(previous[1].content.text).toEqual('world');
+
+    store.frames.removeContent(0);
+    expect(store.frames.get()[0]).toEqual({ id: 'f1' });
+  });
+
+  it('creates missing intermediate objects', () => {
+    store.config.setOption('editor.font.size', 12);
+
+    expect(store.getState().config).toEqual({ editor: { font: { size: 12 } } });
+  });
+
+  it('skips writes that change nothing', async () => {
+    let updates = 0;
+
+    store.on('update', () => updates++);
+
+    let previous = store.frames.get();
+
+    store.frames.setText(0, 'hello');
+    store.frames.removeContent(5);
+    await Promise.resolve();
+
+    expect(store.frames.get()).toBe(previous);
+    expect(updates).toEqual(0);
+  });
+
+  it('does not report sub paths unless enabled', async () => {
+    store.frames.setText(0, 'CHANGED');
+
+    let event = await nextUpdate(store);
+    expect(event.modified).toEqual([ 'frames' ]);
+    expect(event.subPaths).toBeUndefined();
+  });
+
+  it('can report the written sub paths', async () => {
+    store = createStore(template, { emitSubPaths: true });
+
+    store.frames.setText(0, 'CHANGED');
+    store.frames.setText(1, 'CHANGED');
+    store.config.setOption('theme', 'dark');
+
+    let event = await nextUpdate(store);
+    expect(event.modified).toEqual([ 'frames', 'config' ]);
+    expect(event.subPaths).toEqual([ 'frames.0.content.text', 'frames.1.content.text', 'config.theme' ]);
+
+    // Writing the whole scope reports the scope path
+    store.frames.setText(0, 'hello');
+    store.frames.replace([]);
+
+    event = await nextUpdate(store);
+    expect(event.subPaths).toEqual([ 'frames' ]);
+  });
+
+  it('reports sub paths written in a transaction', async () => {
+    store = createStore(template, { emitSubPaths: true });
+
+    store.transaction(() => {
+      store.frames.setText(0, 'CHANGED');
+      store.config.setOption('theme', 'dark');
+    });
+
+    let event = await nextUpdate(store);
+    expect(event.subPaths).toEqual([ 'frames.0.content.text', 'config.theme' ]);
+  });
+
+  it('requires a sub path', () => {
+    expect(() => store.config.setOption('', 1)).toThrow(new TypeError('Error: "config" setIn() requires a non-empty sub path.'));
+  });
+});
@@ -0,0 +1,161 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, cloneStore } from '../src/index.js';
+
+/* global describe, it, expect, expectAsync, beforeEach */
+
+describe('Store Status', () => {
+  let requests;
+  let calls;
+
+  const createRequest = () => {
+    let request = {};
+
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+
+    requests.push(request);
+
+    return request.promise;
+  };
+
+  let store;
+
+  beforeEach(() => {
+    store = createStore({
+      users: {
+        _: {},
+        async getUser({ get, set }, userID) {
+          calls++;
+
+          let user = get()[userID];
+          if (user)
+            return user;
+
+          user = await createRequest();
+          set({ ...get(), [userID]: user });
+
+          return user;
+        },
+        getCount({ get }) {
+          return Object.keys(get()).length;
+        },
+      },
+    });
+  });
+
+  const flush = () => {
+    return new Promise((resolve) => {
+      setTimeout(resolve, 0);
+    });
+  };
+
+  beforeEach(() => {
+    requests = [];
+    calls = 0;
+  });
+
+  it('tracks the status of promise-returning methods', async () => {
+    let events = [];
+
+    store.on('status', ({ path, args, status, error }) => events.push({ path, args, status, error }));
+
+    expect(store.status('users.getUser', [ 1 ])).toEqual({ status: 'idle', error: undefined });
+
+    let promise = store.users.getUser(1);
+    expect(store.status('users.getUser', [ 1 ])).toEqual({ status: 'pending', error: undefined });
+    expect(store.status('users.getUser', [ 2 ])).toEqual({ status: 'idle', error: undefined });
+
+    requests[0].resolve({ id: 1 });
+    expect(await promise).toEqual({ id: 1 });
+    await flush();
+
+    expect(store.status('users.getUser', [ 1 ])).toEqual({ status: 'fulfilled', error: undefined });
+    expect(events).toEqual([
+      { path: 'users.getUser', args: [ 1 ], status: 'pending', error: undefined },
+      { path: 'users.getUser', args: [ 1 ], status: 'fulfilled', error: undefined },
+    ]);
+
+    // Synchronous methods are not tracked
+    store.users.getCount();
+    expect(store.status('users.getCount')).toEqual({ status: 'idle', error: undefined });
+  });
+
+  it('dedupes in-flight calls with the same args', async () => {
+    let promise1 = store.users.getUser(1);
+    let promise2 = store.users.getUser(2);
+
+    // The cache only holds the last call, but the in-flight call is shared
+    expect(store.users.getUser(1)).toBe(promise1);
+    expect(store.users.getUser(2)).toBe(promise2);
+    expect(calls).toEqual(2);
+
+    requests[0].resolve({ id: 1 });
+    requests[1].resolve({ id: 2 });
+    await Promise.all([ promise1, promise2 ]);
+    await flush();
+
+    // Settled calls are no longer shared
+    expect(store.users.getUser(1)).not.toBe(promise1);
+    expect(calls).toEqual(3);
+    expect(await store.users.getUser(1)).toEqual({ id: 1 });
+  });
+
+  it('evicts rejected promises from the cache', async () => {
+    let error = new Error('Network error');
+
+    let promise = store.users.getUser(1);
+    requests[0].reject(error);
+
+    await expectAsync(promise).toBeRejectedWith(error);
+    await flush();
+
+    expect(store.status('users.getUser', [ 1 ])).toEqual({ status: 'rejected', error });
+
+    // Tries again, instead of returning the rejected promise
+    let retry = store.users.getUser(1);
+    expect(retry).not.toBe(promise);
+    expect(store.status('users.getUser', [ 1 ])).toEqual({ status: 'pending', error: undefined });
+
+    requests[1].resolve({ id: 1 });
+    expect(await retry).toEqual({ id: 1 });
+  });
+
+  it('only keeps the most recently settled statuses', async () => {
+    for (let i = 0; i < 60; i++) {
+      let promise = store.users.getUser(i);
+
+      requests[i].resolve({ id: i });
+      await promise;
+    }
+
+    // Now cached in the state, so this settles right away
+    await store.users.getUser(0);
+    await flush();
+
+    expect(store.status('users.getUser', [ 0 ])).toEqual({ status: 'fulfilled', error: undefined });
+    expect(store.status('users.getUser', [ 1 ])).toEqual({ status: 'idle', error: undefined });
+    expect(store.status('users.getUser', [ 10 ])).toEqual({ status: 'idle', error: undefined });
+    expect(store.status('users.getUser', [ 11 ])).toEqual({ status: 'fulfilled', error: undefined });
+    expect(store.status('users.getUser', [ 59 ])).toEqual({ status: 'fulfilled', error: undefined });
+  });
+
+  it('shares statuses with cloned stores', async () => {
+    let promise = store.users.getUser(1);
+
+    let clonedStore = cloneStore(store, true);
+    expect(clonedStore.status('users.getUser', [ 1 ])).toEqual({ status: 'pending', error: undefined });
+
+    requests[0].resolve({ id: 1 });
+    await promise;
+    await flush();
+
+    expect(clonedStore.status('users.getUser', [ 1 ])).toEqual({ status: 'fulfilled', error: undefined });
+  });
+
+  it('validates status arguments', () => {
+    expect(() => store.status()).toThrow(new TypeError('Error: Unable to read status, provided "methodPath" must be a non-empty string.'));
+    expect(() => store.status('users.getUser', 1)).toThrow(new TypeError('Error: Unable to read status, provided "args" must be an array.'));
+  });
+});
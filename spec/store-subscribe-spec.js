@@ -0,0 +1,188 @@
+/* eslint-disable no-magic-numbers */
+import { createStore } from '../src/index.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Subscriptions', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore({
+      frames: {
+        _: {},
+        put({ get, set }, frame) {
+          set({ ...get(), [frame.id]: frame });
+        },
+      },
+      config: {
+        _:          { theme: 'dark' },
+        userConfig: {
+          _: { name: '' },
+          setName({ get, set }, name) {
+            set({ ...get(), name });
+          },
+        },
+        setTheme({ get, set }, theme) {
+          set({ ...get(), theme });
+        },
+        replace({ set }, value) {
+          set(value);
+        },
+      },
+    });
+  });
+
+  const settle = () => {
+    return new Promise((resolve) => {
+      setTimeout(resolve, 5);
+    });
+  };
+
+  it('fires once per batch when the path changed', async () => {
+    let calls = [];
+
+    store.subscribe('config.userConfig', (value, previousValue, { path, modified }) => {
+      calls.push({ value, previousValue, path, modified });
+    });
+
+    store.config.userConfig.setName('Bob');
+    store.config.userConfig.setName('Bobby');
+    await settle();
+
+    expect(calls).toEqual([
+      {
+        value:          { name: 'Bobby' },
+        previousValue:  { name: '' },
+        path:           'config.userConfig',
+        modified:       [ 'config.userConfig' ],
+      },
+    ]);
+  });
+
+  it('fires when a descendant changed', async () => {
+    let calls = [];
+
+    store.subscribe('config', (value, previousValue) => {
+      calls.push([ previousValue.userConfig.name, value.userConfig.name ]);
+    });
+
+    store.config.userConfig.setName('Bob');
+    await settle();
+
+    expect(calls).toEqual([ [ '', 'Bob' ] ]);
+  });
+
+  it('fires when an ancestor changed the path', async () => {
+    let calls = [];
+
+    store.subscribe('config.userConfig', (value) => {
+      calls.push(value);
+    });
+
+    // Ancestor was modified, but this path stayed the same
+    store.config.setTheme('light');
+    await settle();
+
+    expect(calls).toEqual([]);
+
+    store.config.replace({ theme: 'light', userConfig: { name: 'Alice' } });
+    await settle();
+
+    expect(calls).toEqual([ { name: 'Alice' } ]);
+  });
+
+  it('does not fire for unrelated paths', async () => {
+    let calls = 0;
+
+    store.subscribe('config', () => calls++);
+
+    store.frames.put({ id: 'f1' });
+    await settle();
+
+    expect(calls).toEqual(0);
+  });
+
+  it('fires after a hydrate', async () => {
+    let calls = [];
+
+    store.subscribe('config.theme', (value, previousValue) => {
+      calls.push([ previousValue, value ]);
+    });
+
+    store.hydrate({ frames: {}, config: { theme: 'light', userConfig: { name: '' } } });
+    await settle();
+
+    expect(calls).toEqual([ [ 'dark', 'light' ] ]);
+  });
+
+  it('supports wildcard patterns', async () => {
+    let calls = [];
+
+    store.frames.put({ id: 'f1', text: 'hello' });
+    store.frames.put({ id: 'f2', text: 'world' });
+    await settle();
+
+    store.subscribe('frames.*', (values, previousValues) => {
+      calls.push({ values, previousValues });
+    });
+
+    store.frames.put({ id: 'f2', text: 'CHANGED' });
+    store.frames.put({ id: 'f3', text: 'new' });
+    await settle();
+
+    expect(calls).toEqual([
+      {
+        values: {
+          'frames.f2':  { id: 'f2', text: 'CHANGED' },
+          'frames.f3':  { id: 'f3', text: 'new' },
+        },
+        previousValues: {
+          'frames.f2':  { id: 'f2', text: 'world' },
+          'frames.f3':  undefined,
+        },
+      },
+    ]);
+  });
+
+  it('supports wildcards in the middle of a pattern', async () => {
+    let calls = [];
+
+    store.frames.put({ id: 'f1', content: { text: 'hello' }, meta: 1 });
+    await settle();
+
+    store.subscribe('frames.*.content', (values) => {
+      calls.push(values);
+    });
+
+    store.frames.put({ id: 'f1', content: store.getState().frames.f1.content, meta: 2 });
+    await settle();
+
+    expect(calls).toEqual([]);
+
+    store.frames.put({ id: 'f1', content: { text: 'world' }, meta: 2 });
+    await settle();
+
+    expect(calls).toEqual([ { 'frames.f1.content': { text: 'world' } } ]);
+  });
+
+  it('can unsubscribe', async () => {
+    let calls = 0;
+
+    let unsubscribe = store.subscribe('config', () => calls++);
+
+    store.config.setTheme('light');
+    await settle();
+
+    unsubscribe();
+
+    store.config.setTheme('blue');
+    await settle();
+
+    expect(calls).toEqual(1);
+  });
+
+  it('will throw on invalid arguments', () => {
+    expect(() => store.subscribe('', () => {})).toThrow(new TypeError('subscribe: provided "path" must be a non-empty string.'));
+    expect(() => store.subscribe('config')).toThrow(new TypeError('subscribe: provided "listener" must be a function.'));
+  });
+});
@@ -0,0 +1,246 @@
+/* eslint-disable no-magic-numbers */
+import { createStore, cloneStore } from '../src/index.js';
+
+/* global describe, it, expect, expectAsync, beforeEach */
+
+describe('Store Transactions', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore({
+      todos: {
+        _: [],
+        add({ get, set }, todo) {
+          set([ ...get(), todo ]);
+        },
+        get({ get }) {
+          return get();
+        },
+      },
+      config: {
+        _:          { theme: 'dark' },
+        userConfig: {
+          _: { name: '' },
+          setName({ get, set }, name) {
+            set({ ...get(), name });
+          },
+        },
+        setTheme({ get, set }, theme) {
+          set({ ...get(), theme });
+        },
+      },
+    });
+  });
+
+  const waitForUpdates = () => {
+    let events = [];
+    store.on('update', ({ modified }) => events.push(modified));
+
+    return new Promise((resolve) => {
+      setTimeout(() => resolve(events), 10);
+    });
+  };
+
+  it('applies writes across scopes atomically with one update event', async () => {
+    let updates = waitForUpdates();
+
+    let result = store.transaction(() => {
+      store.todos.add({ id: 1 });
+      store.config.setTheme('light');
+      store.config.userConfig.setName('Bob');
+
+      // Reads inside the transaction see the staged state
+      expect(store.todos.get()).toEqual([ { id: 1 } ]);
+
+      return 'done';
+    });
+
+    expect(result).toEqual('done');
+    expect(store.getState()).toEqual({
+      todos:  [ { id: 1 } ],
+      config: {
+        theme:      'light',
+        userConfig: { name: 'Bob' },
+      },
+    });
+
+    expect(await updates).toEqual([
+      [ 'todos', 'config', 'config.userConfig' ],
+    ]);
+  });
+
+  it('does not apply anything to the committed state until the transaction is done', () => {
+    let state = store.getState();
+
+    store.transaction(() => {
+      store.todos.add({ id: 1 });
+
+      expect(store.getState().todos).toEqual([ { id: 1 } ]);
+      expect(cloneStore(store).getState()).toEqual(state);
+    });
+
+    expect(store.getState().todos).toEqual([ { id: 1 } ]);
+  });
+
+  it('discards all writes when the transaction throws', async () => {
+    let state   = store.getState();
+    let updates = waitForUpdates();
+
+    expect(() => {
+      store.transaction(() => {
+        store.todos.add({ id: 1 });
+        store.config.userConfig.setName('Bob');
+
+        throw new Error('Whoops!');
+      });
+    }).toThrow(new Error('Whoops!'));
+
+    expect(store.getState()).toBe(state);
+    expect(store.todos.get()).toEqual([]);
+    expect(await updates).toEqual([]);
+  });
+
+  it('discards all writes when the transaction is aborted', async () => {
+    let state   = store.getState();
+    let updates = waitForUpdates();
+
+    store.transaction(({ abort }) => {
+      store.todos.add({ id: 1 });
+      abort();
+
+      // Writes after an abort are ignored
+      store.todos.add({ id: 2 });
+    });
+
+    expect(store.getState()).toBe(state);
+    expect(await updates).toEqual([]);
+  });
+
+  it('supports async transactions', async () => {
+    let updates = waitForUpdates();
+
+    let result = await store.transaction(async (transaction) => {
+      store.todos.add({ id: 1 });
+      await new Promise((resolve) => {
+        setTimeout(resolve, 1);
+      });
+
+      // Writes after an await go through the transaction's store
+      transaction.store.config.setTheme('light');
+      expect(transaction.store.getState().todos).toEqual([ { id: 1 } ]);
+      expect(store.getState().todos).toEqual([]);
+
+      return 'done';
+    });
+
+    expect(result).toEqual('done');
+    expect(store.getState().todos).toEqual([ { id: 1 } ]);
+    expect(store.getState().config.theme).toEqual('light');
+    expect(await updates).toEqual([ [ 'todos', 'config' ] ]);
+  });
+
+  it('rolls back async transactions that reject', async () => {
+    let state = store.getState();
+
+    await expectAsync(store.transaction(async () => {
+      store.todos.add({ id: 1 });
+      await new Promise((resolve) => {
+        setTimeout(resolve, 1);
+      });
+
+      throw new Error('Whoops!');
+    })).toBeRejectedWith(new Error('Whoops!'));
+
+    expect(store.getState()).toBe(state);
+    expect(store.todos.get()).toEqual([]);
+  });
+
+  it('does not allow writes to the store while an async transaction is pending', async () => {
+    let pending = store.transaction(async (transaction) => {
+      await new Promise((resolve) => {
+        setTimeout(resolve, 1);
+      });
+
+      transaction.store.config.setTheme('light');
+    });
+
+    expect(() => store.todos.add({ id: 1 })).toThrow(new Error('Error: Unable to write while an async transaction is pending, write through the "store" provided to the transaction callback instead.'));
+    expect(() => store.hydrate({ todos: [ { id: 1 } ] })).toThrow(new Error('Error: Unable to write while an async transaction is pending, write through the "store" provided to the transaction callback instead.'));
+    expect(() => store.transaction(() => {})).toThrow(new Error('Error: Unable to start a transaction while an async transaction is pending.'));
+
+    await pending;
+
+    store.todos.add({ id: 1 });
+
+    expect(store.getState()).toEqual({
+      todos:  [ { id: 1 } ],
+      config: {
+        theme:      'light',
+        userConfig: { name: '' },
+      },
+    });
+  });
+
+  it('does not keep writes made through the store after an await when the transaction throws', async () => {
+    let state = store.getState();
+
+    await expectAsync(store.transaction(async () => {
+      store.todos.add({ id: 1 });
+      await new Promise((resolve) => {
+        setTimeout(resolve, 1);
+      });
+
+      store.config.setTheme('light');
+    })).toBeRejectedWith(new Error('Error: Unable to write while an async transaction is pending, write through the "store" provided to the transaction callback instead.'));
+
+    expect(store.getState()).toBe(state);
+    expect(store.getState().config.theme).toEqual('dark');
+  });
+
+  it('does not allow writes through the store of a finished transaction', () => {
+    let transactionStore;
+
+    store.transaction((transaction) => {
+      transactionStore = transaction.store;
+      transactionStore.todos.add({ id: 1 });
+    });
+
+    expect(store.getState().todos).toEqual([ { id: 1 } ]);
+    expect(() => transactionStore.todos.add({ id: 2 })).toThrow(new Error('Error: Unable to write, the transaction this store belongs to has already finished.'));
+  });
+
+  it('joins nested transactions with the outer transaction', () => {
+    let state = store.getState();
+
+    expect(() => {
+      store.transaction(() => {
+        store.transaction(() => {
+          store.todos.add({ id: 1 });
+        });
+
+        expect(store.getState().todos).toEqual([ { id: 1 } ]);
+
+        throw new Error('Whoops!');
+      });
+    }).toThrow(new Error('Whoops!'));
+
+    expect(store.getState()).toBe(state);
+  });
+
+  it('does not cache results from staged state', () => {
+    store.todos.get();
+
+    try {
+      store.transaction(() => {
+        store.todos.add({ id: 1 });
+        expect(store.todos.get()).toEqual([ { id: 1 } ]);
+
+        throw new Error('Whoops!');
+      });
+    } catch (error) {
+      // NOOP
+    }
+
+    expect(store.todos.get()).toEqual([]);
+  });
+});
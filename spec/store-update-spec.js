@@ -0,0 +1,201 @@
+/* eslint-disable no-magic-numbers */
+import { createStore } from '../src/index.js';
+import { nextUpdate } from './helpers/next-update.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Update', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore({
+      todos: {
+        _: [],
+        add({ update }, todo) {
+          return update((todos) => {
+            todos.push(todo);
+          });
+        },
+        complete({ update }, id) {
+          update((todos) => {
+            let todo = todos.find((item) => item.id === id);
+            if (todo)
+              todo.done = true;
+          });
+        },
+        removeFirst({ update }) {
+          update((todos) => {
+            todos.shift();
+          });
+        },
+        run({ update }, recipe) {
+          return update(recipe);
+        },
+        get({ get }) {
+          return get();
+        },
+      },
+      config: {
+        _: { theme: 'dark', layout: { columns: 2, rows: 2 } },
+        run({ update }, recipe) {
+          return update(recipe);
+        },
+        get({ get }) {
+          return get();
+        },
+      },
+      counter: {
+        _: 0,
+        increment({ update }, amount) {
+          update((count) => count + amount);
+        },
+      },
+    });
+  });
+
+  it('can update arrays through a draft', () => {
+    store.todos.add({ id: 1, done: false });
+    store.todos.add({ id: 2, done: false });
+
+    let todos = store.todos.get();
+    expect(todos).toEqual([ { id: 1, done: false }, { id: 2, done: false } ]);
+    expect(Object.isFrozen(todos)).toBe(true);
+
+    store.todos.complete(2);
+
+    let updatedTodos = store.todos.get();
+    expect(updatedTodos).toEqual([ { id: 1, done: false }, { id: 2, done: true } ]);
+
+    // Unchanged items are structurally shared
+    expect(updatedTodos[0]).toBe(todos[0]);
+    expect(Object.isFrozen(updatedTodos[1])).toBe(true);
+
+    store.todos.removeFirst();
+    expect(store.todos.get()).toEqual([ { id: 2, done: true } ]);
+  });
+
+  it('keeps the values of drafts that are moved around', () => {
+    store.todos.run(() => [ { id: 1 }, { id: 2 }, { id: 3 } ]);
+
+    let todos = store.todos.get();
+
+    store.todos.run((draft) => {
+      let todo = draft[0];
+      draft[0] = draft[2];
+      draft[2] = todo;
+    });
+
+    expect(store.todos.get()).toEqual([ { id: 3 }, { id: 2 }, { id: 1 } ]);
+    expect(store.todos.get()[0]).toBe(todos[2]);
+
+    store.todos.run((draft) => {
+      draft.sort((todoA, todoB) => (todoA.id - todoB.id));
+    });
+
+    expect(store.todos.get()).toEqual([ { id: 1 }, { id: 2 }, { id: 3 } ]);
+
+    store.todos.run((draft) => {
+      draft[1].done = true;
+      draft.reverse();
+    });
+
+    expect(store.todos.get()).toEqual([ { id: 3 }, { id: 2, done: true }, { id: 1 } ]);
+  });
+
+  it('keeps drafts attached to their values when items are removed', () => {
+    store.todos.run(() => [ { id: 1 }, { id: 2 }, { id: 3 } ]);
+
+    store.todos.run((draft) => {
+      let first = draft[0];
+      let third = draft[2];
+
+      draft.shift();
+
+      // The first todo was removed, so changing it changes nothing
+      first.done = true;
+      third.done = true;
+    });
+
+    expect(store.todos.get()).toEqual([ { id: 2 }, { id: 3, done: true } ]);
+
+    store.todos.run((draft) => {
+      let last = draft[1];
+
+      draft.splice(0, 1, { id: 4 });
+      last.text = 'c';
+    });
+
+    expect(store.todos.get()).toEqual([ { id: 4 }, { id: 3, done: true, text: 'c' } ]);
+  });
+
+  it('can update nested objects through a draft', () => {
+    let previous = store.config.get();
+
+    store.config.run((config) => {
+      config.layout.columns = 4;
+      config.layout.rows++;
+      delete config.theme;
+    });
+
+    let config = store.config.get();
+    expect(config).toEqual({ layout: { columns: 4, rows: 3 } });
+    expect(previous).toEqual({ theme: 'dark', layout: { columns: 2, rows: 2 } });
+  });
+
+  it('replaces drafts assigned to other keys with their final values', () => {
+    store.config.run((config) => {
+      config.backup = { layout: config.layout };
+      config.layout.columns = 3;
+    });
+
+    let config = store.config.get();
+    expect(config.layout).toEqual({ columns: 3, rows: 2 });
+    expect(config.backup.layout).toBe(config.layout);
+  });
+
+  it('skips drafts that change nothing', async () => {
+    let updates = 0;
+
+    store.on('update', () => updates++);
+
+    let previous = store.config.get();
+
+    store.config.run((config) => {
+      config.theme = 'dark';
+      config.layout.columns = 2;
+    });
+
+    await Promise.resolve();
+
+    expect(store.config.get()).toBe(previous);
+    expect(updates).toEqual(0);
+  });
+
+  it('uses values returned from the recipe', async () => {
+    store.counter.increment(1);
+    store.counter.increment(2);
+    store.config.run(() => ({ theme: 'light' }));
+
+    let { modified } = await nextUpdate(store);
+
+    expect(modified).toEqual([ 'counter', 'config' ]);
+    expect(store.getState().counter).toEqual(3);
+    expect(store.getState().config).toEqual({ theme: 'light' });
+  });
+
+  it('does not allow drafts to be used after the update', () => {
+    let draft;
+
+    store.config.run((config) => {
+      draft = config;
+    });
+
+    expect(() => {
+      draft.theme = 'light';
+    }).toThrow(new TypeError('Error: "<root>" draft can not be used after update() has finished.'));
+  });
+
+  it('requires a recipe function', () => {
+    expect(() => store.config.run({ theme: 'light' })).toThrow(new TypeError('Error: "config" update() requires a recipe function.'));
+  });
+});
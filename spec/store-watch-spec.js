@@ -0,0 +1,166 @@
+/* eslint-disable no-magic-numbers */
+import { createStore } from '../src/index.js';
+
+/* global describe, it, expect, beforeEach */
+
+describe('Store Watch', () => {
+  let store;
+  let counts;
+
+  beforeEach(() => {
+    counts = { getDone: 0 };
+
+    store = createStore({
+      todos: {
+        _: [],
+        add({ get, set }, todo) {
+          set([ ...get(), todo ]);
+        },
+        toggle({ get, set }, id) {
+          set(get().map((todo) => ((todo.id === id) ? { ...todo, done: !todo.done } : todo)));
+        },
+        getDone({ get }) {
+          counts.getDone++;
+          return get().filter((todo) => todo.done);
+        },
+      },
+      config: {
+        _: { theme: 'dark' },
+        setTheme({ get, set }, theme) {
+          set({ ...get(), theme });
+        },
+      },
+    });
+  });
+
+  const settle = () => {
+    return new Promise((resolve) => {
+      setTimeout(resolve, 5);
+    });
+  };
+
+  it('fires only when the selected value changes', async () => {
+    let calls = [];
+
+    store.watch((store) => store.getState().config.theme, (value, previousValue) => {
+      calls.push([ previousValue, value ]);
+    });
+
+    store.todos.add({ id: 1 });
+    await settle();
+
+    expect(calls).toEqual([]);
+
+    store.config.setTheme('light');
+    await settle();
+
+    expect(calls).toEqual([ [ 'dark', 'light' ] ]);
+  });
+
+  it('compares by reference by default', async () => {
+    let calls = 0;
+
+    store.watch((store) => store.todos.getDone().map((todo) => todo.id), () => calls++);
+
+    store.todos.add({ id: 1, done: true });
+    await settle();
+
+    store.todos.add({ id: 2, done: false });
+    await settle();
+
+    expect(calls).toEqual(2);
+  });
+
+  it('can compare shallowly', async () => {
+    let calls = [];
+
+    store.watch((store) => store.todos.getDone(), (value) => calls.push(value.length), { equals: 'shallow' });
+
+    store.todos.add({ id: 1, done: true });
+    await settle();
+
+    // getDone() recomputes a new array with the same items
+    store.todos.add({ id: 2, done: false });
+    await settle();
+
+    expect(calls).toEqual([ 1 ]);
+  });
+
+  it('can compare deeply', async () => {
+    let calls = [];
+
+    store.watch((store) => store.todos.getDone().map((todo) => ({ id: todo.id })), (value) => calls.push(value), { equals: 'deep' });
+
+    store.todos.add({ id: 1, done: true });
+    await settle();
+
+    store.todos.add({ id: 2, done: false });
+    await settle();
+
+    store.todos.toggle(2);
+    await settle();
+
+    expect(calls).toEqual([
+      [ { id: 1 } ],
+      [ { id: 1 }, { id: 2 } ],
+    ]);
+  });
+
+  it('can use a custom equality function', async () => {
+    let calls = 0;
+
+    store.watch((store) => store.todos.getDone(), () => calls++, { equals: (a, b) => (a.length === b.length) });
+
+    store.todos.add({ id: 1, done: true });
+    store.todos.add({ id: 2, done: false });
+    await settle();
+
+    store.todos.toggle(1);
+    store.todos.toggle(2);
+    await settle();
+
+    expect(calls).toEqual(1);
+  });
+
+  it('does not re-run selectors when unrelated scopes change', async () => {
+    store.watch((store) => store.todos.getDone(), () => {});
+    expect(counts.getDone).toEqual(1);
+
+    store.config.setTheme('light');
+    await settle();
+
+    expect(counts.getDone).toEqual(1);
+
+    store.todos.add({ id: 1, done: true });
+    await settle();
+
+    expect(counts.getDone).toEqual(2);
+  });
+
+  it('reuses cached scope method results', async () => {
+    store.todos.getDone();
+    store.watch((store) => store.todos.getDone(), () => {});
+
+    expect(counts.getDone).toEqual(1);
+  });
+
+  it('can stop watching', async () => {
+    let calls = 0;
+
+    let unwatch = store.watch((store) => store.getState().config.theme, () => calls++);
+
+    store.config.setTheme('light');
+    await settle();
+
+    unwatch();
+
+    store.config.setTheme('blue');
+    await settle();
+
+    expect(calls).toEqual(1);
+  });
+
+  it('will throw on an unknown equality', () => {
+    expect(() => store.watch(() => null, () => {}, { equals: 'derp' })).toThrow(new TypeError('watch: unknown "equals" value "derp". Must be "reference", "shallow", "deep", or a function.'));
+  });
+});
@@ -0,0 +1,45 @@
+/* global process */
+
+import FileSystem from 'node:fs/promises';
+import Path from 'node:path';
+
+// Persistence adapter that stores each key as a JSON
+// file in the provided directory. Node only.
+export function createFileSystemAdapter(directory) {
+  if (!directory || typeof directory !== 'string')
+    throw new TypeError('createFileSystemAdapter: provided "directory" must be a string.');
+
+  const getFilePath = (key) => Path.join(directory, `${encodeURIComponent(key)}.json`);
+
+  return {
+    getItem: async (key) => {
+      try {
+        return await FileSystem.readFile(getFilePath(key), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT')
+          return null;
+
+        throw error;
+      }
+    },
+    setItem: async (key, value) => {
+      let filePath = getFilePath(key);
+      let tempPath = `${filePath}.${process.pid}.tmp`;
+
+      await FileSystem.mkdir(directory, { recursive: true });
+
+      // Write to a temporary file first, so a crash
+      // mid-write never leaves a truncated file behind
+      await FileSystem.writeFile(tempPath, value, 'utf8');
+      await FileSystem.rename(tempPath, filePath);
+    },
+    removeItem: async (key) => {
+      try {
+        await FileSystem.unlink(getFilePath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT')
+          throw error;
+      }
+    },
+  };
+}
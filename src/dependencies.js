@@ -0,0 +1,45 @@
+import { pathsOverlap } from './utils.js';
+
+// Stack of dependency collectors for the scope method
+// calls currently executing. Scope paths read while
+// a method runs are recorded into the top collector.
+const dependencyStack = [];
+
+export function trackDependencies(dependencies) {
+  let collector = dependencyStack[dependencyStack.length - 1];
+  if (!collector)
+    return;
+
+  Object.assign(collector, dependencies);
+}
+
+export function collectDependencies(callback) {
+  let dependencies = {};
+  let result;
+
+  dependencyStack.push(dependencies);
+
+  try {
+    result = callback();
+  } finally {
+    dependencyStack.pop();
+  }
+
+  return { result, dependencies };
+}
+
+// Whether any of the modified paths overlap recorded
+// dependencies. Nothing read through scopes means
+// we can't tell, so it is always considered affected.
+export function isAffected(dependencies, modified) {
+  let paths = Object.keys(dependencies || {});
+  if (paths.length === 0)
+    return true;
+
+  return modified.some((modifiedPath) => {
+    if (modifiedPath === '*')
+      return true;
+
+    return paths.some((path) => pathsOverlap(modifiedPath, path));
+  });
+}
@@ -0,0 +1,253 @@
+import { getPath } from './utils.js';
+import { isPromise } from './status.js';
+
+// Updates caused by time travel aren't recorded
+const JUMP_REASON = 'jumpTo';
+
+const now = () => ((typeof performance !== 'undefined') ? performance.now() : Date.now());
+
+// Record scope method calls, set() writes, and batched updates
+// into a log, with the state after each, for time travel
+export function createDevtools(store, _options) {
+  const options     = Object.assign({ maxEntries: 1000 }, _options || {});
+  const maxEntries  = options.maxEntries;
+
+  if (typeof maxEntries !== 'number' || !(maxEntries > 0))
+    throw new TypeError('createDevtools: provided "maxEntries" must be a number greater than zero.');
+
+  let log       = [];
+  let listeners = [];
+
+  const record = (entry) => {
+    entry.time = Date.now();
+    entry.state = store.getState();
+
+    log.push(entry);
+    if (log.length > maxEntries)
+      log.shift();
+
+    for (let i = 0, il = listeners.length; i < il; i++)
+      listeners[i](entry);
+
+    return entry;
+  };
+
+  const middleware = (context, next) => {
+    if (context.type === 'set') {
+      let result = next();
+
+      record({
+        type:           'set',
+        path:           context.path,
+        methodName:     context.methodName,
+        args:           context.args,
+        previousValue:  context.previousValue,
+        nextValue:      context.nextValue,
+      });
+
+      return result;
+    }
+
+    let start   = now();
+    let result  = next();
+    let entry   = record({
+      type:       'call',
+      path:       context.path,
+      methodName: context.methodName,
+      args:       context.args,
+      duration:   now() - start,
+    });
+
+    // Async methods report the time until they settled
+    if (isPromise(result)) {
+      const settle = () => {
+        entry.duration = now() - start;
+      };
+
+      result.then(settle, settle);
+    }
+
+    return result;
+  };
+
+  const onUpdate = ({ modified, reason }) => {
+    if (reason === JUMP_REASON)
+      return;
+
+    record({
+      type: 'update',
+      modified,
+      reason,
+    });
+  };
+
+  let removeMiddleware = store.use(middleware);
+  store.on('update', onUpdate);
+
+  return {
+    store,
+    getLog() {
+      return log.slice();
+    },
+    // Restore the state recorded by a log entry
+    jumpTo(index) {
+      let entry = log[index];
+      if (!entry)
+        throw new RangeError(`Error: Unable to jump to log entry ${index}, no such entry exists.`);
+
+      store.hydrate(entry.state, { reason: JUMP_REASON });
+    },
+    subscribe(listener) {
+      if (typeof listener !== 'function')
+        throw new TypeError('Error: Unable to subscribe to devtools, provided "listener" must be a function.');
+
+      listeners.push(listener);
+
+      return () => {
+        listeners = listeners.filter((item) => (item !== listener));
+      };
+    },
+    clear() {
+      log = [];
+    },
+    destroy() {
+      log = [];
+      listeners = [];
+
+      removeMiddleware();
+      store.off('update', onUpdate);
+    },
+  };
+}
+
+// Log entries are sent as actions when they changed the state
+function toAction(entry) {
+  if (entry.type === 'set')
+    return { type: (entry.methodName) ? getPath(entry.path, entry.methodName) : `set ${entry.path}`, args: entry.args };
+
+  // Other writes (i.e. hydrate(), undo/redo) only show up as updates
+  if (entry.type === 'update' && entry.reason !== 'update')
+    return { type: entry.reason, modified: entry.modified };
+
+  return null;
+}
+
+function getDefaultTransport(name, maxAge) {
+  let extension = (typeof globalThis !== 'undefined') ? globalThis.__REDUX_DEVTOOLS_EXTENSION__ : undefined;
+  return (extension) ? extension.connect({ name, maxAge }) : null;
+}
+
+// Connect devtools to the Redux DevTools extension. The transport
+// is anything shaped like an extension connection ({ init, send,
+// subscribe }), which defaults to a connection to the extension.
+export function connectReduxDevtools(devtools, _options) {
+  const options   = Object.assign({ name: 'seqda', maxAge: 50 }, _options || {});
+  const maxAge    = options.maxAge;
+
+  if (typeof maxAge !== 'number' || !(maxAge >= 2))
+    throw new TypeError('connectReduxDevtools: provided "maxAge" must be a number no less than 2.');
+
+  const transport = options.transport || getDefaultTransport(options.name, maxAge);
+
+  if (!transport)
+    throw new Error('connectReduxDevtools: no "transport" was provided, and the Redux DevTools extension is not available.');
+
+  if (typeof transport.init !== 'function' || typeof transport.send !== 'function' || typeof transport.subscribe !== 'function')
+    throw new TypeError('connectReduxDevtools: provided "transport" must have "init", "send", and "subscribe" functions.');
+
+  const store = devtools.store;
+
+  let initialState    = store.getState();
+  let committedState  = initialState;
+  let lastState       = initialState;
+
+  // The states of the actions sent, by action id (0 is the committed
+  // state). Like the extension, at most "maxAge" are kept by committing
+  // the oldest actions, so action id N is at index N - droppedActions.
+  let actionStates    = [ committedState ];
+  let droppedActions  = 0;
+
+  const reset = (state) => {
+    committedState = state;
+    lastState = state;
+    actionStates = [ state ];
+    droppedActions = 0;
+
+    transport.init(state);
+  };
+
+  const getActionState = (actionId) => {
+    if (actionId === 0)
+      return actionStates[0];
+
+    let index = actionId - droppedActions;
+    return (index > 0) ? actionStates[index] : undefined;
+  };
+
+  const jumpToState = (state) => {
+    lastState = state;
+    store.hydrate(state, { reason: JUMP_REASON });
+  };
+
+  const onEntry = (entry) => {
+    let action = toAction(entry);
+    if (!action || entry.state === lastState)
+      return;
+
+    lastState = entry.state;
+    actionStates.push(entry.state);
+
+    if (actionStates.length > maxAge) {
+      actionStates.shift();
+      committedState = actionStates[0];
+      droppedActions++;
+    }
+
+    transport.send(action, entry.state);
+  };
+
+  const onMessage = (message) => {
+    if (!message || message.type !== 'DISPATCH' || !message.payload)
+      return;
+
+    switch (message.payload.type) {
+      case 'JUMP_TO_STATE':
+      case 'JUMP_TO_ACTION': {
+        let state = getActionState(message.payload.actionId);
+        if (state)
+          jumpToState(state);
+
+        break;
+      }
+      case 'COMMIT':
+        reset(store.getState());
+        break;
+      case 'ROLLBACK':
+        jumpToState(committedState);
+        reset(committedState);
+        break;
+      case 'RESET':
+        jumpToState(initialState);
+        reset(initialState);
+        break;
+      default:
+        break;
+    }
+  };
+
+  transport.init(initialState);
+
+  let unsubscribeEntries  = devtools.subscribe(onEntry);
+  let unsubscribeMessages = transport.subscribe(onMessage);
+
+  return {
+    disconnect() {
+      unsubscribeEntries();
+
+      if (typeof unsubscribeMessages === 'function')
+        unsubscribeMessages();
+      else if (typeof transport.unsubscribe === 'function')
+        transport.unsubscribe();
+    },
+  };
+}
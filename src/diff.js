@@ -0,0 +1,70 @@
+import { isCollection } from './utils.js';
+
+function isContainer(value) {
+  return (value != null && typeof value === 'object');
+}
+
+function toKey(value, key) {
+  return (Array.isArray(value) && (/^\d+$/).test(key)) ? parseInt(key, 10) : key;
+}
+
+// Shallow structural diff of two values. Keys (or indices)
+// are compared by reference, which is exact for the
+// structurally shared state tree.
+export function diffValues(oldValue, newValue) {
+  let added   = [];
+  let removed = [];
+  let changed = [];
+
+  if (oldValue instanceof Map && newValue instanceof Map) {
+    oldValue.forEach((value, key) => {
+      if (!newValue.has(key))
+        removed.push({ key, oldValue: value, newValue: undefined });
+      else if (newValue.get(key) !== value)
+        changed.push({ key, oldValue: value, newValue: newValue.get(key) });
+    });
+
+    newValue.forEach((value, key) => {
+      if (!oldValue.has(key))
+        added.push({ key, oldValue: undefined, newValue: value });
+    });
+  } else if (oldValue instanceof Set && newValue instanceof Set) {
+    // Set members are their own keys, so they are only added or removed
+    oldValue.forEach((value) => {
+      if (!newValue.has(value))
+        removed.push({ key: value, oldValue: value, newValue: undefined });
+    });
+
+    newValue.forEach((value) => {
+      if (!oldValue.has(value))
+        added.push({ key: value, oldValue: undefined, newValue: value });
+    });
+  } else if (isContainer(oldValue) && isContainer(newValue) && Array.isArray(oldValue) === Array.isArray(newValue) && !isCollection(oldValue) && !isCollection(newValue)) {
+    let oldKeys = Object.keys(oldValue);
+    let newKeys = Object.keys(newValue);
+
+    for (let i = 0, il = oldKeys.length; i < il; i++) {
+      let key = oldKeys[i];
+
+      if (!Object.prototype.hasOwnProperty.call(newValue, key))
+        removed.push({ key: toKey(oldValue, key), oldValue: oldValue[key], newValue: undefined });
+      else if (oldValue[key] !== newValue[key])
+        changed.push({ key: toKey(oldValue, key), oldValue: oldValue[key], newValue: newValue[key] });
+    }
+
+    for (let i = 0, il = newKeys.length; i < il; i++) {
+      let key = newKeys[i];
+
+      if (!Object.prototype.hasOwnProperty.call(oldValue, key))
+        added.push({ key: toKey(newValue, key), oldValue: undefined, newValue: newValue[key] });
+    }
+  }
+
+  return {
+    oldValue,
+    newValue,
+    added,
+    removed,
+    changed,
+  };
+}
@@ -0,0 +1,222 @@
+import {
+  clone,
+  freezeContainer,
+  getPath,
+  toStandInDescriptor,
+} from './utils.js';
+
+function isDraftable(value) {
+  if (!value || typeof value !== 'object')
+    return false;
+
+  if (Array.isArray(value))
+    return true;
+
+  let prototype = Object.getPrototypeOf(value);
+  return (prototype === Object.prototype || prototype === null);
+}
+
+// Run a recipe against a mutable draft of a value. Each draft
+// belongs to the value it was created from (not to a key), and
+// is only copied once it is written to, so drafts can be moved
+// around (i.e. sorting, or swapping items). Drafts are replaced
+// by their final values once the recipe is done. The result is
+// structurally shared with (and frozen like) the state, and the
+// base value is returned as is if nothing was changed.
+export function produce(base, recipe) {
+  if (!isDraftable(base)) {
+    let result = recipe(base);
+    return (result === undefined) ? base : result;
+  }
+
+  const states = new WeakMap();
+
+  let finished = false;
+
+  const getSource = (state) => (state.copy || state.base);
+
+  const assertActive = (state) => {
+    if (finished)
+      throw new TypeError(`Error: "${state.path || '<root>'}" draft can not be used after update() has finished.`);
+  };
+
+  // Child drafts are kept in the copy of their parent
+  const prepareCopy = (state) => {
+    if (!state.copy)
+      state.copy = clone(state.base);
+  };
+
+  const markModified = (state) => {
+    for (let current = state; current && !current.modified; current = current.parent) {
+      prepareCopy(current);
+      current.modified = true;
+    }
+  };
+
+  // Replace drafts with their final values. Values assigned
+  // to drafts are walked, as they may hold drafts themselves.
+  const finalizeValue = (value, seen) => {
+    if (!value || typeof value !== 'object')
+      return value;
+
+    let state = states.get(value);
+    if (state)
+      return finalizeDraft(state, seen);
+
+    if (Object.isFrozen(value) || !isDraftable(value) || seen.has(value))
+      return value;
+
+    seen.add(value);
+
+    let keys = Object.keys(value);
+    for (let i = 0, il = keys.length; i < il; i++) {
+      let key = keys[i];
+      value[key] = finalizeValue(value[key], seen);
+    }
+
+    return value;
+  };
+
+  const finalizeDraft = (state, seen) => {
+    if (!state.modified)
+      return state.base;
+
+    if (state.finalized)
+      return state.finalized;
+
+    let value = state.finalized = state.copy;
+    let keys  = Object.keys(value);
+
+    for (let i = 0, il = keys.length; i < il; i++) {
+      let key = keys[i];
+      value[key] = freezeContainer(finalizeValue(value[key], seen));
+    }
+
+    return freezeContainer(value);
+  };
+
+  const createDraft = (value, parent, path) => {
+    let state = {
+      base:       value,
+      copy:       null,
+      finalized:  null,
+      modified:   false,
+      parent,
+      path,
+      proxy:     null,
+    };
+
+    let proxy = new Proxy((Array.isArray(value)) ? [] : {}, {
+      get: (_, key) => {
+        assertActive(state);
+
+        let source = getSource(state);
+        if (typeof key === 'symbol' || !Object.prototype.hasOwnProperty.call(source, key))
+          return Reflect.get(source, key, proxy);
+
+        let childValue = source[key];
+        if (states.has(childValue) || !isDraftable(childValue))
+          return childValue;
+
+        prepareCopy(state);
+
+        let child = createDraft(childValue, state, getPath(path, key));
+        state.copy[key] = child.proxy;
+
+        return child.proxy;
+      },
+      set: (_, key, value) => {
+        assertActive(state);
+
+        let source = getSource(state);
+
+        if (Object.prototype.hasOwnProperty.call(source, key)) {
+          let currentValue = source[key];
+          if (currentValue === value)
+            return true;
+
+          // Assigning the value an untouched draft was made from changes nothing
+          let currentState = states.get(currentValue);
+          if (currentState && !currentState.modified && currentState.base === value)
+            return true;
+        }
+
+        markModified(state);
+        state.copy[key] = value;
+
+        return true;
+      },
+      deleteProperty: (_, key) => {
+        assertActive(state);
+
+        let source = getSource(state);
+        if (!Object.prototype.hasOwnProperty.call(source, key))
+          return true;
+
+        markModified(state);
+
+        // Only trailing array items are removed (as array
+        // methods do), others are left as undefined
+        if (Array.isArray(state.copy)) {
+          if (parseInt(key, 10) === (state.copy.length - 1))
+            state.copy.length--;
+          else
+            state.copy[key] = undefined;
+        } else {
+          delete state.copy[key];
+        }
+
+        return true;
+      },
+      defineProperty: (_, key, descriptor) => {
+        if (!Object.prototype.hasOwnProperty.call(descriptor, 'value'))
+          throw new TypeError(`Error: "${getPath(path, String(key))}" draft properties can not be accessors.`);
+
+        proxy[key] = descriptor.value;
+
+        return true;
+      },
+      has: (_, key) => {
+        assertActive(state);
+        return Reflect.has(getSource(state), key);
+      },
+      ownKeys: () => {
+        assertActive(state);
+        return Reflect.ownKeys(getSource(state));
+      },
+      getPrototypeOf:           () => Reflect.getPrototypeOf(state.base),
+      getOwnPropertyDescriptor: (target, key) => {
+        let descriptor = Reflect.getOwnPropertyDescriptor(getSource(state), key);
+        if (!descriptor)
+          return descriptor;
+
+        // Drafts are writable, even when made from frozen state
+        if (Object.prototype.hasOwnProperty.call(descriptor, 'value'))
+          descriptor.writable = true;
+
+        return toStandInDescriptor(target, key, descriptor);
+      },
+    });
+
+    state.proxy = proxy;
+    states.set(proxy, state);
+
+    return state;
+  };
+
+  let rootState = createDraft(base, null, '');
+  let draft     = rootState.proxy;
+  let result;
+
+  try {
+    result = recipe(draft);
+  } finally {
+    finished = true;
+  }
+
+  // Returning a value (other than the draft) replaces the value
+  if (result !== undefined && result !== draft)
+    return finalizeValue(result, new WeakSet());
+
+  return finalizeDraft(rootState, new WeakSet());
+}
@@ -0,0 +1,203 @@
+import Nife from 'nife';
+import {
+  pathsOverlap,
+  readPath,
+  shallowEqual,
+} from './utils.js';
+
+// Marks templates created by entityScope(). The key is enumerable
+// so it survives spreading the template into another object.
+export const ENTITY_SCOPE = Symbol.for('@seqdaEntityScope');
+
+function hasEntity(byId, id) {
+  return Object.prototype.hasOwnProperty.call(byId, id);
+}
+
+function createCompare(keyOrCompare) {
+  if (typeof keyOrCompare === 'function')
+    return keyOrCompare;
+
+  return (entityA, entityB) => {
+    let valueA = entityA[keyOrCompare];
+    let valueB = entityB[keyOrCompare];
+
+    if (valueA === valueB)
+      return 0;
+
+    return (valueA < valueB) ? -1 : 1;
+  };
+}
+
+// Create a scope template for a collection of entities, stored
+// normalized as { byId, ids }, with ids kept in insertion order
+export function entityScope(_options, template) {
+  if (_options != null && !Nife.instanceOf(_options, 'object'))
+    throw new TypeError('entityScope: provided "options" must be an object.');
+
+  if (template != null && !Nife.instanceOf(template, 'object'))
+    throw new TypeError('entityScope: provided "template" must be an object.');
+
+  let options = Object.assign({ idKey: 'id' }, _options || {});
+  let idKey   = options.idKey;
+
+  if (!idKey || typeof idKey !== 'string')
+    throw new TypeError('entityScope: provided "idKey" must be a non-empty string.');
+
+  // Entities are shallow merged into the entities they update
+  const upsertEntities = ({ get, set }, entities) => {
+    let state = get();
+    let byId  = null;
+    let ids   = null;
+
+    for (let i = 0, il = entities.length; i < il; i++) {
+      let entity = entities[i];
+      if (!entity || typeof entity !== 'object')
+        throw new TypeError('Error: Unable to upsert entity, entities must be objects.');
+
+      let id = entity[idKey];
+      if (id == null)
+        throw new TypeError(`Error: Unable to upsert entity, it is missing its "${idKey}".`);
+
+      let currentById = byId || state.byId;
+      let exists      = hasEntity(currentById, id);
+      let value       = (exists) ? Object.assign({}, currentById[id], entity) : entity;
+
+      if (exists && shallowEqual(currentById[id], value))
+        continue;
+
+      if (!byId)
+        byId = Object.assign({}, state.byId);
+
+      byId[id] = value;
+
+      if (!exists) {
+        if (!ids)
+          ids = state.ids.slice();
+
+        ids.push(id);
+      }
+    }
+
+    if (!byId)
+      return;
+
+    set(Object.assign({}, state, { byId, ids: ids || state.ids }));
+  };
+
+  let getters = {
+    getById({ get }, id) {
+      let { byId } = get();
+      return (hasEntity(byId, id)) ? byId[id] : undefined;
+    },
+    getAll({ get }) {
+      let { byId, ids } = get();
+      return ids.map((id) => byId[id]);
+    },
+  };
+
+  let actions = {
+    upsert(context, entity) {
+      upsertEntities(context, [ entity ]);
+    },
+    upsertMany(context, entities) {
+      upsertEntities(context, Nife.toArray(entities));
+    },
+    remove({ get, set }, idOrIds) {
+      let state   = get();
+      let removed = Nife.toArray(idOrIds).filter((id) => hasEntity(state.byId, id));
+      if (removed.length === 0)
+        return;
+
+      let byId = Object.assign({}, state.byId);
+      for (let i = 0, il = removed.length; i < il; i++)
+        delete byId[removed[i]];
+
+      set(Object.assign({}, state, { byId, ids: state.ids.filter((id) => hasEntity(byId, id)) }));
+    },
+    // Reorder the ids, by an entity key or a compare function
+    sortBy({ get, set }, keyOrCompare) {
+      if (typeof keyOrCompare !== 'function' && (!keyOrCompare || typeof keyOrCompare !== 'string'))
+        throw new TypeError('Error: sortBy() requires an entity key, or a compare function.');
+
+      let state   = get();
+      let compare = createCompare(keyOrCompare);
+      let ids     = state.ids.slice().sort((idA, idB) => compare(state.byId[idA], state.byId[idB]));
+
+      if (ids.every((id, index) => (id === state.ids[index])))
+        return;
+
+      set(Object.assign({}, state, { ids }));
+    },
+  };
+
+  let extraTemplate = template || {};
+  if (Object.prototype.hasOwnProperty.call(extraTemplate, '_'))
+    throw new TypeError('entityScope: provided "template" can not define a "_" default value.');
+
+  return Object.assign({}, extraTemplate, {
+    _:              { byId: {}, ids: [] },
+    actions:        Object.assign({}, actions, extraTemplate.actions),
+    getters:        Object.assign({}, getters, extraTemplate.getters),
+    [ENTITY_SCOPE]: { idKey },
+  });
+}
+
+function diffEntities(previousValue, currentValue) {
+  let previousById  = (previousValue && previousValue.byId) || {};
+  let currentById   = (currentValue && currentValue.byId) || {};
+
+  if (previousById === currentById)
+    return null;
+
+  let added   = [];
+  let updated = [];
+  let removed = [];
+
+  let currentIds = (currentValue && currentValue.ids) || [];
+  for (let i = 0, il = currentIds.length; i < il; i++) {
+    let id = currentIds[i];
+
+    if (!hasEntity(previousById, id))
+      added.push(id);
+    else if (previousById[id] !== currentById[id])
+      updated.push(id);
+  }
+
+  let previousIds = (previousValue && previousValue.ids) || [];
+  for (let i = 0, il = previousIds.length; i < il; i++) {
+    let id = previousIds[i];
+    if (!hasEntity(currentById, id))
+      removed.push(id);
+  }
+
+  if (added.length === 0 && updated.length === 0 && removed.length === 0)
+    return null;
+
+  return { added, updated, removed };
+}
+
+// Collect the ids of the entities that changed, per modified entity scope
+export function collectEntityChanges(scopes, previousState, currentState, modified) {
+  let paths   = Object.keys(scopes || {});
+  let changes = null;
+
+  for (let i = 0, il = paths.length; i < il; i++) {
+    let path = paths[i];
+    if (!scopes[path].template[ENTITY_SCOPE])
+      continue;
+
+    if (!modified.some((modifiedPath) => (modifiedPath === '*' || pathsOverlap(modifiedPath, path))))
+      continue;
+
+    let entityChanges = diffEntities(readPath(previousState, path), readPath(currentState, path));
+    if (!entityChanges)
+      continue;
+
+    if (!changes)
+      changes = {};
+
+    changes[path] = entityChanges;
+  }
+
+  return changes;
+}
@@ -0,0 +1,148 @@
+import { freezeContainer, isCollection, toStandInDescriptor } from './utils.js';
+
+// Objects known to be frozen all the way down, so
+// installing them again doesn't walk them again
+const DEEP_FROZEN     = new WeakSet();
+const DEV_PROXIES     = new WeakMap();
+const PROXY_TARGETS   = new WeakMap();
+
+export function isPlainValue(value) {
+  if (Array.isArray(value) || isCollection(value))
+    return true;
+
+  let prototype = Object.getPrototypeOf(value);
+  return (prototype === Object.prototype || prototype === null);
+}
+
+// Typed arrays can't be frozen while they have elements
+function isTypedArray(value) {
+  return (ArrayBuffer.isView(value) && !(value instanceof DataView));
+}
+
+// Build a "should this value be skipped?" predicate from the
+// freezeSkip option: a predicate, or a list of constructors.
+// By default, everything other than plain objects, arrays,
+// Maps and Sets (class instances, Dates, etc...) is skipped.
+export function createFreezeSkip(freezeSkip) {
+  if (typeof freezeSkip === 'function')
+    return (value) => (isTypedArray(value) || freezeSkip(value) === true);
+
+  if (Array.isArray(freezeSkip))
+    return (value) => (isTypedArray(value) || freezeSkip.some((Klass) => (value instanceof Klass)));
+
+  return (value) => (isTypedArray(value) || !isPlainValue(value));
+}
+
+export function unwrapDevProxy(value) {
+  if (!value || typeof value !== 'object')
+    return value;
+
+  let target = PROXY_TARGETS.get(value);
+  return (target) ? target : value;
+}
+
+export function deepFreeze(value, shouldSkip, _seen) {
+  if (!value || typeof value !== 'object' || DEEP_FROZEN.has(value))
+    return value;
+
+  if (shouldSkip(value))
+    return value;
+
+  let seen = _seen || new WeakSet();
+  if (seen.has(value))
+    return value;
+
+  seen.add(value);
+
+  let isFrozen = Object.isFrozen(value);
+
+  if (value instanceof Set) {
+    let values = Array.from(value);
+
+    if (!isFrozen && values.some((childValue) => (unwrapDevProxy(childValue) !== childValue))) {
+      value.clear();
+      values = values.map(unwrapDevProxy);
+      values.forEach((childValue) => value.add(childValue));
+    }
+
+    values.forEach((childValue) => deepFreeze(childValue, shouldSkip, seen));
+  } else {
+    let isMap = (value instanceof Map);
+    let keys  = (isMap) ? Array.from(value.keys()) : Object.keys(value);
+
+    for (let i = 0, il = keys.length; i < il; i++) {
+      let key         = keys[i];
+      let childValue  = (isMap) ? value.get(key) : value[key];
+      let target      = unwrapDevProxy(childValue);
+
+      if (target !== childValue && !isFrozen) {
+        if (isMap)
+          value.set(key, target);
+        else
+          value[key] = target;
+      }
+
+      deepFreeze(target, shouldSkip, seen);
+    }
+  }
+
+  freezeContainer(value);
+  DEEP_FROZEN.add(value);
+
+  return value;
+}
+
+function throwMutationError(path) {
+  throw new TypeError(`Error: "${path || '<root>'}" can not be mutated. State can only be updated through scope methods via set().`);
+}
+
+function childPath(path, key) {
+  return (path) ? `${path}.${String(key)}` : String(key);
+}
+
+// Wrap state in a proxy that throws (naming the path) on mutation.
+// The proxy target is a stand-in, because proxies of frozen
+// objects must return the real (unwrapped) property values.
+// Maps and Sets can't be proxied (their methods need the real
+// instance), so they are handed out as-is (frozen).
+export function createDevProxy(value, path, shouldSkip) {
+  if (!value || typeof value !== 'object' || isCollection(value) || shouldSkip(value))
+    return value;
+
+  let proxy = DEV_PROXIES.get(value);
+  if (proxy)
+    return proxy;
+
+  proxy = new Proxy((Array.isArray(value)) ? [] : {}, {
+    get: (_, key) => {
+      let childValue = Reflect.get(value, key);
+      if (typeof key === 'symbol' || !Object.prototype.hasOwnProperty.call(value, key))
+        return childValue;
+
+      return createDevProxy(childValue, childPath(path, key), shouldSkip);
+    },
+    has:                      (_, key) => Reflect.has(value, key),
+    ownKeys:                  () => Reflect.ownKeys(value),
+    getPrototypeOf:           () => Reflect.getPrototypeOf(value),
+    getOwnPropertyDescriptor: (target, key) => {
+      let descriptor = Reflect.getOwnPropertyDescriptor(value, key);
+      if (!descriptor)
+        return descriptor;
+
+      // Properties of the stand-in target (i.e. array length) aren't state
+      if (Object.prototype.hasOwnProperty.call(descriptor, 'value') && typeof key !== 'symbol' && !Object.prototype.hasOwnProperty.call(target, key))
+        descriptor.value = createDevProxy(descriptor.value, childPath(path, key), shouldSkip);
+
+      return toStandInDescriptor(target, key, descriptor);
+    },
+    set:                      (_, key) => throwMutationError(childPath(path, key)),
+    deleteProperty:           (_, key) => throwMutationError(childPath(path, key)),
+    defineProperty:           (_, key) => throwMutationError(childPath(path, key)),
+    setPrototypeOf:           () => throwMutationError(path),
+  });
+
+  DEV_PROXIES.set(value, proxy);
+  PROXY_TARGETS.set(proxy, value);
+
+  return proxy;
+}
@@ -0,0 +1,117 @@
+import Nife from 'nife';
+import {
+  setPath,
+  readPath,
+  pathsOverlap,
+} from './utils.js';
+
+const FLUSH_CHANGE_EVENT = Symbol.for('@seqdaFlushChangeEvent');
+
+export function createHistory(store, _options) {
+  const options   = Object.assign({ maxDepth: Infinity }, _options || {});
+  const paths     = (options.paths) ? Nife.toArray(options.paths).filter(Boolean) : null;
+  const maxDepth  = options.maxDepth;
+
+  if (typeof maxDepth !== 'number' || !(maxDepth > 0))
+    throw new TypeError('createHistory: provided "maxDepth" must be a number greater than zero.');
+
+  let past    = [];
+  let future  = [];
+
+  const isTracked = (modified) => {
+    if (!paths)
+      return true;
+
+    return modified.some((modifiedPath) => {
+      if (modifiedPath === '*')
+        return true;
+
+      return paths.some((path) => pathsOverlap(modifiedPath, path));
+    });
+  };
+
+  const restore = (state, reason) => {
+    let newState = state;
+
+    // When only recording selected paths, only restore
+    // those paths, leaving the rest of the state alone
+    if (paths) {
+      newState = store.getState();
+
+      for (let i = 0, il = paths.length; i < il; i++) {
+        let path = paths[i];
+        newState = setPath(newState, path, readPath(state, path));
+      }
+    }
+
+    store.hydrate(newState, { reason });
+  };
+
+  const pushPast = (state) => {
+    past.push(state);
+    if (past.length > maxDepth)
+      past.shift();
+  };
+
+  const onUpdate = ({ previousStore, modified, reason }) => {
+    // Don't record our own undo/redo as new history
+    if (reason === 'undo' || reason === 'redo')
+      return;
+
+    if (!isTracked(modified))
+      return;
+
+    pushPast(previousStore.getState());
+    future = [];
+  };
+
+  // Record writes that are still waiting to be reported,
+  // so they aren't recorded after (or instead of) an undo
+  const flushPending = (reason) => {
+    if (store[FLUSH_CHANGE_EVENT])
+      store[FLUSH_CHANGE_EVENT](reason);
+  };
+
+  store.on('update', onUpdate);
+
+  return {
+    undo() {
+      flushPending('undo');
+
+      if (past.length === 0)
+        return false;
+
+      future.push(store.getState());
+      restore(past.pop(), 'undo');
+
+      return true;
+    },
+    redo() {
+      flushPending('redo');
+
+      if (future.length === 0)
+        return false;
+
+      pushPast(store.getState());
+      restore(future.pop(), 'redo');
+
+      return true;
+    },
+    canUndo() {
+      return (past.length > 0);
+    },
+    canRedo() {
+      return (future.length > 0);
+    },
+    clear() {
+      past = [];
+      future = [];
+    },
+    destroy() {
+      past = [];
+      future = [];
+
+      store.off('update', onUpdate);
+    },
+  };
+}
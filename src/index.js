@@ -1,12 +1,95 @@
 import Nife from 'nife';
 import EventEmitter from 'events';
+import {
+  clone,
+  setPath,
+  getPath,
+  pathsOverlap,
+  isMergeable,
+  mergeValues,
+  readPath,
+  deletePath,
+  shallowEqual,
+  argsEqual,
+} from './utils.js';
+import { createHistory } from './history.js';
+import {
+  createDevtools,
+  connectReduxDevtools,
+} from './devtools.js';
+import { diffValues } from './diff.js';
+import { produce } from './draft.js';
+import { subscribe, watch } from './subscriptions.js';
+import { createScopeIndexes } from './indexes.js';
+import {
+  entityScope,
+  collectEntityChanges,
+} from './entities.js';
+import {
+  defineMethod,
+  getMethodOptions,
+} from './methods.js';
+import {
+  isPromise,
+  updateStatus,
+  readStatus,
+} from './status.js';
+import {
+  persistStore,
+  createKeyValueAdapter,
+  serializeState,
+  deserializeState,
+} from './persistence.js';
+import {
+  isAffected,
+  trackDependencies,
+  collectDependencies,
+} from './dependencies.js';
+import {
+  createFreezeSkip,
+  deepFreeze,
+  unwrapDevProxy,
+  createDevProxy,
+} from './freeze.js';
+import {
+  Types,
+  isType,
+  validateValue,
+} from './schema.js';
+
+export {
+  Types,
+  defineMethod,
+  entityScope,
+  createHistory,
+  createDevtools,
+  connectReduxDevtools,
+  diffValues,
+  persistStore,
+  createKeyValueAdapter,
+  serializeState,
+  deserializeState,
+};
 
 const QUEUE_CHANGE_EVENT  = Symbol.for('@seqdaQueueChangeEvent');
+const FLUSH_CHANGE_EVENT  = Symbol.for('@seqdaFlushChangeEvent');
 const QUEUE_CHANGE_INFO   = Symbol.for('@seqdaQueueChangeInfo');
 const INTERNAL_STATE      = Symbol.for('@seqdaInternalState');
 const UNBOUND_METHOD      = Symbol.for('@seqdaUnboundMethod');
 const DISALLOW_WRITE      = Symbol.for('@seqdaDisallowWrite');
 const CLEAR_CACHES        = Symbol.for('@seqdaClearCaches');
+const TRANSACTION         = Symbol.for('@seqdaTransaction');
+const ASYNC_TRANSACTION   = Symbol.for('@seqdaAsyncTransaction');
+const STORE_OPTIONS       = Symbol.for('@seqdaStoreOptions');
+const SCOPES              = Symbol.for('@seqdaScopes');
+const SCHEMAS             = Symbol.for('@seqdaSchemas');
+const COMPUTED            = Symbol.for('@seqdaComputed');
+const STATUSES            = Symbol.for('@seqdaStatuses');
+const CACHE_STATS         = Symbol.for('@seqdaCacheStats');
+const METHODS             = Symbol.for('@seqdaMethods');
+
+// By default, each method caches the result of its last call
+const DEFAULT_CACHE_OPTIONS = Object.freeze({ size: 1 });
 
 export function cloneStore(store, readyOnly) {
   const cloneScope = (scope, _newStore) => {
@@ -36,6 +119,59 @@ export function cloneStore(store, readyOnly) {
   let clonedInternalState = Object.assign({}, store[INTERNAL_STATE]);
 
   Object.defineProperties(clonedStore, {
+    // Scope method caches are shared with the source store
+    // (the methods share their closures), so the clone starts
+    // with the same cache-clearing functions. The scope registries
+    // are copied, so scopes registered or unregistered later only
+    // affect the store they were (un)registered on.
+    [CLEAR_CACHES]: {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        store[CLEAR_CACHES].slice(),
+    },
+    [STORE_OPTIONS]: {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        store[STORE_OPTIONS],
+    },
+    [SCOPES]: {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        Object.assign({}, store[SCOPES]),
+    },
+    [SCHEMAS]: {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        Object.assign({}, store[SCHEMAS]),
+    },
+    [COMPUTED]: {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        store[COMPUTED],
+    },
+    [STATUSES]: {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        store[STATUSES],
+    },
+    [CACHE_STATS]: {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        store[CACHE_STATS],
+    },
+    [METHODS]: {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        Object.assign({}, store[METHODS]),
+    },
     [INTERNAL_STATE]: {
       writable:     (readyOnly !== true) ? true : false,
       enumberable:  false,
@@ -44,160 +180,1034 @@ export function cloneStore(store, readyOnly) {
     },
   });
 
-  return initializeStore(clonedStore, readyOnly);
-}
+  return initializeStore(clonedStore, readyOnly);
+}
+
+function collectChanges(previousState, currentState, modified) {
+  let changes = {};
+
+  for (let i = 0, il = modified.length; i < il; i++) {
+    let path = modified[i];
+
+    if (path === '*')
+      changes[path] = diffValues(previousState, currentState);
+    else
+      changes[path] = diffValues(readPath(previousState, path), readPath(currentState, path));
+  }
+
+  return changes;
+}
+
+// Track the sub paths written inside a scope. A
+// write of the whole scope (true) wins over these.
+function recordSubPath(subPaths, path, subPath) {
+  if (subPaths[path] === true)
+    return;
+
+  if (!subPath) {
+    subPaths[path] = true;
+    return;
+  }
+
+  if (!subPaths[path])
+    subPaths[path] = {};
+
+  subPaths[path][subPath] = true;
+}
+
+function collectSubPaths(subPaths, modified) {
+  let result = [];
+
+  for (let i = 0, il = modified.length; i < il; i++) {
+    let path          = modified[i];
+    let scopeSubPaths = subPaths[path];
+
+    if (!scopeSubPaths || scopeSubPaths === true)
+      result.push(path);
+    else
+      result = result.concat(Object.keys(scopeSubPaths));
+  }
+
+  return result;
+}
+
+function emitChangeEvent() {
+  let info          = this[QUEUE_CHANGE_INFO];
+  let modified      = Array.from(Object.keys(info.eventQueue));
+  let previousStore = info.previousStore;
+  let reason        = info.reason || 'update';
+  let subPaths      = info.subPaths || {};
+
+  info.eventQueue = {};
+  info.subPaths = {};
+  info.promise = null;
+  info.reason = null;
+  info.previousStore = cloneStore(this, true);
+
+  // Computed values that changed are reported along with the scopes
+  let computedChanges = collectComputedChanges.call(this, previousStore, modified);
+  let computedPaths   = computedChanges.map(({ path }) => path);
+
+  let event = {
+    store:    this,
+    previousStore,
+    modified: modified.concat(computedPaths),
+    reason,
+  };
+
+  let options = this[STORE_OPTIONS];
+  if (options && options.emitChanges === true) {
+    event.changes = collectChanges(previousStore.getState(), this.getState(), modified);
+
+    for (let i = 0, il = computedChanges.length; i < il; i++) {
+      let { path, previousValue, value } = computedChanges[i];
+      event.changes[path] = diffValues(previousValue, value);
+    }
+  }
+
+  if (options && options.emitSubPaths === true)
+    event.subPaths = collectSubPaths(subPaths, modified).concat(computedPaths);
+
+  // The ids of entities that changed, for entity scopes
+  let entities = collectEntityChanges(this[SCOPES], getInternalState(previousStore), getInternalState(this), modified);
+  if (entities)
+    event.entities = entities;
+
+  this.emit('update', event);
+}
+
+// Writes with different reasons are never batched together,
+// so the pending batch is emitted right away, before a write
+// with another reason reads the state (i.e. undo() and a write
+// right after it are reported as two updates). Listeners can
+// write while it is emitted, which starts another batch, so
+// this must be called before the write reads the state.
+function flushChangeEvent(reason) {
+  let info = this[QUEUE_CHANGE_INFO];
+  if (!info)
+    return;
+
+  while (info.promise && (info.reason || 'update') !== (reason || 'update'))
+    emitChangeEvent.call(this);
+}
+
+function queueChangeEvent(path, reason, subPath) {
+  let info = this[QUEUE_CHANGE_INFO];
+  if (!info.promise) {
+    let promise = info.promise = Promise.resolve();
+
+    promise.then(() => {
+      // Skip batches that were already flushed
+      if (info.promise === promise)
+        emitChangeEvent.call(this);
+    });
+  }
+
+  if (!info.eventQueue)
+    info.eventQueue = {};
+
+  info.eventQueue[path] = true;
+
+  if (!info.subPaths)
+    info.subPaths = {};
+
+  recordSubPath(info.subPaths, path, subPath);
+
+  if (reason)
+    info.reason = reason;
+}
+
+// Inside a transaction the staged state is the current state
+function getInternalState(store) {
+  let transaction = store[TRANSACTION];
+  return (transaction) ? transaction.state : store[INTERNAL_STATE];
+}
+
+// The transaction writes are staged in. Writes to the store of a
+// transaction that already finished would be lost, so they throw.
+// So do writes to the store itself while an async transaction is
+// pending, as they would survive the transaction being rolled back.
+function getWriteTransaction(store) {
+  let transaction = store[TRANSACTION];
+  if (transaction && transaction.finished)
+    throw new Error('Error: Unable to write, the transaction this store belongs to has already finished.');
+
+  if (!transaction && store[ASYNC_TRANSACTION])
+    throw new Error('Error: Unable to write while an async transaction is pending, write through the "store" provided to the transaction callback instead.');
+
+  return transaction;
+}
+
+// Apply the scopes a transaction modified on top of the current
+// state, so writes made since it started (by listeners of the
+// batch emitted before it commits) are kept
+function rebaseTransaction(transaction, modified) {
+  let state = this[INTERNAL_STATE];
+  if (state === transaction.base || transaction.modified['*'])
+    return transaction.state;
+
+  // Parents first, so staged sub-scope values win over their parents
+  let paths = modified.slice().sort((pathA, pathB) => (pathA.split('.').length - pathB.split('.').length));
+  for (let i = 0, il = paths.length; i < il; i++) {
+    let path = paths[i];
+    state = setPath(state, path, readPath(transaction.state, path));
+  }
+
+  return state;
+}
+
+function commitTransaction(transaction) {
+  if (transaction.aborted)
+    return;
+
+  let modified = Object.keys(transaction.modified);
+  if (modified.length === 0)
+    return;
+
+  flushChangeEvent.call(this, transaction.reason);
+
+  this[INTERNAL_STATE] = rebaseTransaction.call(this, transaction, modified);
+
+  for (let i = 0, il = modified.length; i < il; i++) {
+    let path = modified[i];
+
+    if (path === '*')
+      invalidateCaches.call(this);
+    else
+      invalidateCaches.call(this, path);
+
+    let subPaths = transaction.subPaths[path];
+    if (subPaths && subPaths !== true) {
+      let keys = Object.keys(subPaths);
+      for (let j = 0, jl = keys.length; j < jl; j++)
+        this[QUEUE_CHANGE_EVENT](path, transaction.reason, keys[j]);
+    } else {
+      this[QUEUE_CHANGE_EVENT](path, transaction.reason);
+    }
+  }
+}
+
+// A clone of the store that stages all its writes in the transaction
+function getTransactionStore(transaction) {
+  if (!transaction.store) {
+    transaction.store = cloneStore(this);
+    transaction.store[TRANSACTION] = transaction;
+  }
+
+  return transaction.store;
+}
+
+function runTransaction(callback) {
+  // Nested transactions join the pending transaction
+  let pendingTransaction = this[TRANSACTION];
+  if (pendingTransaction)
+    return callback(pendingTransaction.controls);
+
+  if (this[ASYNC_TRANSACTION])
+    throw new Error('Error: Unable to start a transaction while an async transaction is pending.');
+
+  let store       = this;
+  let transaction = {
+    base:     this[INTERNAL_STATE],
+    state:    this[INTERNAL_STATE],
+    modified: {},
+    subPaths: {},
+    aborted:  false,
+    finished: false,
+    store:    null,
+    controls: {
+      abort: () => {
+        transaction.aborted = true;
+      },
+      get store() {
+        return getTransactionStore.call(store, transaction);
+      },
+    },
+  };
+
+  // Only writes made while the callback runs are staged on the
+  // store itself. Once it awaits, the store refuses writes until
+  // the transaction settles, so async callbacks write through the
+  // store provided to them instead.
+  this[TRANSACTION] = transaction;
+
+  let result;
+
+  try {
+    result = callback(transaction.controls);
+  } catch (error) {
+    transaction.finished = true;
+    throw error;
+  } finally {
+    this[TRANSACTION] = null;
+  }
+
+  if (Nife.instanceOf(result, 'promise')) {
+    this[ASYNC_TRANSACTION] = transaction;
+
+    return result.then(
+      (value) => {
+        transaction.finished = true;
+        this[ASYNC_TRANSACTION] = null;
+        commitTransaction.call(this, transaction);
+
+        return value;
+      },
+      (error) => {
+        transaction.finished = true;
+        this[ASYNC_TRANSACTION] = null;
+        throw error;
+      },
+    );
+  }
+
+  transaction.finished = true;
+  commitTransaction.call(this, transaction);
+
+  return result;
+}
+
+function invalidateCaches(path) {
+  let clearFns = this[CLEAR_CACHES];
+  if (!clearFns)
+    return;
+
+  for (let i = 0, il = clearFns.length; i < il; i++)
+    clearFns[i](path);
+}
+
+function isSnapshot(value) {
+  return (Nife.instanceOf(value, 'object') && Object.prototype.hasOwnProperty.call(value, '$version') && Object.prototype.hasOwnProperty.call(value, 'state'));
+}
+
+function migrateState(_state, _version) {
+  let options         = this[STORE_OPTIONS] || {};
+  let currentVersion  = options.version || 0;
+  let migrations      = options.migrations || {};
+  let version         = _version || 0;
+  let state           = _state;
+
+  if (typeof version !== 'number' || version < 0)
+    throw new TypeError(`Error: Unable to hydrate state with invalid version "${version}".`);
+
+  if (version > currentVersion)
+    throw new Error(`Error: Unable to hydrate state of version ${version}, the store is at version ${currentVersion}. Unknown future versions can not be migrated.`);
+
+  for (let i = version + 1; i <= currentVersion; i++) {
+    let migration = migrations[i];
+    if (typeof migration === 'function')
+      state = migration(state);
+  }
+
+  // Backfill scopes missing from the state with
+  // their default values (parents come first)
+  let scopes      = this[SCOPES] || {};
+  let scopePaths  = Object.keys(scopes);
+
+  if (scopePaths.length > 0 && (!state || typeof state !== 'object'))
+    state = {};
+
+  for (let i = 0, il = scopePaths.length; i < il; i++) {
+    let scopePath = scopePaths[i];
+    if (Nife.get(state, scopePath) !== undefined)
+      continue;
+
+    state = setPath(state, scopePath, clone(scopes[scopePath].template._));
+  }
+
+  return state;
+}
+
+// Report the deepest scopes a patch changed. Keys that
+// aren't scopes are reported as their scope, and scopes
+// whose value was replaced (not merged) are reported too.
+function collectModifiedPaths(scopes, patch, basePath, previousState, currentState, modified) {
+  let keys          = Object.keys(patch);
+  let modifiedSelf  = false;
+
+  for (let i = 0, il = keys.length; i < il; i++) {
+    let key   = keys[i];
+    let path  = getPath(basePath, key);
+
+    if (readPath(previousState, path) === readPath(currentState, path))
+      continue;
+
+    if (scopes[path] && Nife.instanceOf(patch[key], 'object') && isMergeable(readPath(previousState, path)))
+      collectModifiedPaths(scopes, patch[key], path, previousState, currentState, modified);
+    else if (scopes[path] || !basePath)
+      modified[path] = true;
+    else
+      modifiedSelf = true;
+  }
+
+  if (modifiedSelf)
+    modified[basePath] = true;
+}
+
+// Install a subtree at a path, or deep merge a patch,
+// only invalidating and reporting what changed
+function hydratePartial(_value, path, merge, reason) {
+  if (path != null && (!path || typeof path !== 'string'))
+    throw new TypeError('Error: Unable to hydrate, provided "path" must be a non-empty string.');
+
+  if (merge && !path && !Nife.instanceOf(_value, 'object'))
+    throw new TypeError('Error: Unable to merge, provided "value" must be a plain object.');
+
+  let transaction = getWriteTransaction(this);
+  if (transaction && transaction.aborted)
+    return;
+
+  if (!transaction)
+    flushChangeEvent.call(this, reason);
+
+  let previousState = getInternalState(this);
+  let modified      = {};
+  let value         = freezeValue.call(this, _value);
+  let newState;
+
+  if (merge) {
+    if (path) {
+      let mergedValue = mergeValues(readPath(previousState, path), value);
+      newState = setPath(previousState, path, (Array.isArray(mergedValue)) ? clone(mergedValue) : mergedValue);
+    } else {
+      newState = mergeValues(previousState, value);
+    }
+
+    if (Nife.instanceOf(value, 'object'))
+      collectModifiedPaths(this[SCOPES] || {}, value, path || '', previousState, newState, modified);
+    else if (readPath(newState, path) !== readPath(previousState, path))
+      modified[path] = true;
+  } else {
+    newState = setPath(previousState, path, clone(value));
+
+    if (readPath(newState, path) !== readPath(previousState, path))
+      modified[path] = true;
+  }
+
+  let modifiedPaths = Object.keys(modified);
+  if (modifiedPaths.length === 0)
+    return;
+
+  validateState.call(this, newState, modifiedPaths);
+
+  if (transaction) {
+    transaction.state = newState;
+    transaction.reason = reason;
+    Object.assign(transaction.modified, modified);
+
+    for (let i = 0, il = modifiedPaths.length; i < il; i++)
+      recordSubPath(transaction.subPaths, modifiedPaths[i]);
+
+    return;
+  }
+
+  this[INTERNAL_STATE] = newState;
+
+  for (let i = 0, il = modifiedPaths.length; i < il; i++) {
+    let modifiedPath = modifiedPaths[i];
+
+    invalidateCaches.call(this, modifiedPath);
+    queueChangeEvent.call(this, modifiedPath, reason);
+  }
+}
+
+function reportValidationErrors(errors) {
+  if (errors.length === 0)
+    return;
+
+  let options = this[STORE_OPTIONS] || {};
+  if (options.validation === 'report') {
+    this.emit('validationError', { store: this, errors });
+    return;
+  }
+
+  let error = new TypeError(`Error: Schema validation failed. ${errors.map(({ message }) => message).join(' ')}`);
+  error.errors = errors;
+
+  throw error;
+}
+
+// Validate every scope schema affected by the modified paths
+function validateState(state, modifiedPaths) {
+  let schemas     = this[SCHEMAS];
+  let schemaPaths = (schemas) ? Object.keys(schemas) : [];
+  if (schemaPaths.length === 0)
+    return;
+
+  let errors = [];
+
+  for (let i = 0, il = schemaPaths.length; i < il; i++) {
+    let schemaPath = schemaPaths[i];
+    if (!modifiedPaths.some((modifiedPath) => (modifiedPath === '*' || pathsOverlap(modifiedPath, schemaPath))))
+      continue;
+
+    validateValue(schemas[schemaPath], (schemaPath) ? Nife.get(state, schemaPath) : state, schemaPath, errors);
+  }
+
+  reportValidationErrors.call(this, errors);
+}
+
+// Values about to be installed are deep frozen in the
+// "deep" and "dev" freeze modes (the default freeze is
+// shallow, applied along the written path by setPath)
+function freezeValue(value) {
+  let options = this[STORE_OPTIONS] || {};
+  if (options.freeze !== 'deep' && options.freeze !== 'dev')
+    return value;
+
+  return deepFreeze(unwrapDevProxy(value), options.freezeSkip);
+}
+
+// Values handed out are wrapped in mutation-reporting proxies in "dev" mode
+function exposeValue(value, path) {
+  let options = this[STORE_OPTIONS] || {};
+  if (options.freeze !== 'dev')
+    return value;
+
+  return createDevProxy(value, path, options.freezeSkip);
+}
+
+function readComputed(entry) {
+  // Like method caches, values based on a read-only clone's
+  // state, or on staged transaction state, aren't memoized
+  let memoize = !(this[DISALLOW_WRITE] || this[TRANSACTION]);
+  if (memoize && entry.valid) {
+    trackDependencies(entry.dependencies);
+    return entry.value;
+  }
+
+  let { result, dependencies } = collectDependencies(() => entry.get(this));
+  if (entry.explicitDependencies)
+    dependencies = entry.explicitDependencies;
+
+  if (memoize) {
+    entry.value = result;
+    entry.dependencies = dependencies;
+    entry.valid = true;
+  }
+
+  trackDependencies(dependencies);
+
+  return result;
+}
+
+// Compare computed values affected by the batch against their
+// values before it. That is the value memoized when the batch
+// first invalidated it, so values are only computed against
+// the previous state if they were never read.
+function collectComputedChanges(previousStore, modified) {
+  let entries = this[COMPUTED];
+  let changes = [];
+
+  if (!entries)
+    return changes;
+
+  for (let i = 0, il = entries.length; i < il; i++) {
+    let entry       = entries[i];
+    let hasBaseline = entry.hasBaseline;
+    let baseline    = entry.baseline;
+
+    entry.baseline = undefined;
+    entry.hasBaseline = false;
+
+    if (!isAffected(entry.dependencies, modified))
+      continue;
+
+    let previousValue = (hasBaseline) ? baseline : readComputed.call(previousStore, entry);
+    let value         = readComputed.call(this, entry);
+
+    if (!shallowEqual(value, previousValue))
+      changes.push({ path: entry.path, previousValue, value });
+  }
+
+  return changes;
+}
+
+function createComputedScope(definitions) {
+  let scope = {};
+  let names = Object.keys(definitions);
+
+  for (let i = 0, il = names.length; i < il; i++) {
+    let name          = names[i];
+    let definition    = definitions[name];
+    let computedPath  = getPath('computed', name);
+    let explicitDependencies;
+    let get;
+
+    if (typeof definition === 'function') {
+      get = definition;
+    } else if (Nife.instanceOf(definition, 'object') && typeof definition.get === 'function' && (definition.dependencies == null || Array.isArray(definition.dependencies))) {
+      get = definition.get;
+
+      if (definition.dependencies)
+        explicitDependencies = definition.dependencies.reduce((obj, dependencyPath) => Object.assign(obj, { [dependencyPath]: true }), {});
+    } else {
+      throw new TypeError(`Error: Value of "${computedPath}" is invalid. Computed values must be functions, or { dependencies, get } objects.`);
+    }
+
+    let entry = {
+      path:         computedPath,
+      get,
+      explicitDependencies,
+      dependencies: explicitDependencies,
+      value:        undefined,
+      valid:        false,
+      baseline:     undefined,
+      hasBaseline:  false,
+    };
+
+    this[COMPUTED].push(entry);
+
+    // Recompute only once a dependency was written. The
+    // first write of a batch keeps the memoized value,
+    // to report changes against at the end of the batch.
+    this[CLEAR_CACHES].push((writtenPath) => {
+      if (writtenPath && !isAffected(entry.dependencies, [ writtenPath ]))
+        return;
+
+      if (entry.valid && !entry.hasBaseline) {
+        entry.baseline = entry.value;
+        entry.hasBaseline = true;
+      }
+
+      entry.valid = false;
+    });
+
+    let method = function() {
+      return readComputed.call(this, entry);
+    };
+
+    scope[name] = storeUnboundMethod(method.bind(this), method);
+  }
+
+  return Object.freeze(scope);
+}
+
+function runMiddleware(store, middleware, context, handler) {
+  const dispatch = (index) => {
+    if (index >= middleware.length)
+      return handler(context);
+
+    return middleware[index].call(store, context, () => dispatch(index + 1));
+  };
+
+  return dispatch(0);
+}
+
+// Signals are only created once a method asks for one
+function getInvocationSignal(invocation) {
+  if (!invocation.controller) {
+    invocation.controller = new AbortController();
+
+    if (invocation.superseded)
+      invocation.controller.abort();
+  }
+
+  return invocation.controller.signal;
+}
+
+function supersedeInvocation(invocation) {
+  if (invocation.superseded)
+    return;
+
+  invocation.superseded = true;
+
+  if (invocation.controller)
+    invocation.controller.abort();
+}
+
+function readCacheStats(stats) {
+  let result      = {};
+  let methodPaths = Object.keys(stats);
+
+  for (let i = 0, il = methodPaths.length; i < il; i++) {
+    let methodPath = methodPaths[i];
+    result[methodPath] = Object.freeze(Object.assign({}, stats[methodPath]));
+  }
+
+  return Object.freeze(result);
+}
+
+// Describe the scopes of a store, and the kinds of their methods
+function describeStore(scopes, methods) {
+  let result = {};
+
+  const describeScope = (path) => {
+    if (!result[path])
+      result[path] = { path, actions: [], getters: [], methods: [] };
+
+    return result[path];
+  };
+
+  Object.keys(scopes).forEach(describeScope);
+
+  let methodPaths = Object.keys(methods);
+  for (let i = 0, il = methodPaths.length; i < il; i++) {
+    let { path, name, kind } = methods[methodPaths[i]];
+    describeScope(path)[`${kind}s`].push(name);
+  }
+
+  let paths = Object.keys(result);
+  for (let i = 0, il = paths.length; i < il; i++) {
+    let description = result[paths[i]];
+
+    Object.freeze(description.actions);
+    Object.freeze(description.getters);
+    Object.freeze(description.methods);
+    Object.freeze(description);
+  }
+
+  return Object.freeze(result);
+}
+
+function storeUnboundMethod(boundMethod, method) {
+  Object.defineProperty(boundMethod, UNBOUND_METHOD, {
+    writable:     false,
+    enumerable:   false,
+    configurable: false,
+    value:        method,
+  });
+
+  return boundMethod;
+}
+
+function createStoreSubsection(options, sectionTemplate, path) {
+  // Methods with a key function are cached by their key,
+  // others by their args (compared by reference)
+  function getCacheKey(scopeName, args) {
+    let methodCache = cacheOptions[scopeName];
+    return (methodCache && methodCache.key) ? methodCache.key(...args) : args;
+  }
+
+  function cacheKeyMatches(scopeName, entry, cacheKey) {
+    let methodCache = cacheOptions[scopeName];
+    return (methodCache && methodCache.key) ? (entry.key === cacheKey) : argsEqual(entry.key, cacheKey);
+  }
+
+  function findCacheEntry(scopeName, cacheKey) {
+    if (this[DISALLOW_WRITE] || this[TRANSACTION])
+      return;
+
+    let entries = cache[scopeName];
+    if (!entries)
+      return;
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      let entry = entries[i];
+      if (!cacheKeyMatches(scopeName, entry, cacheKey))
+        continue;
+
+      if (entry.expires != null && entry.expires <= Date.now()) {
+        entries.splice(i, 1);
+        return;
+      }
+
+      // The most recently used entries are kept last
+      if (i < entries.length - 1) {
+        entries.splice(i, 1);
+        entries.push(entry);
+      }
+
+      return entry;
+    }
+  }
+
+  function setCache(scopeName, cacheKey, result, dependencies) {
+    // Staged transaction state might be discarded,
+    // so results based on it are never cached
+    if (this[DISALLOW_WRITE] || this[TRANSACTION])
+      return;
+
+    let methodCache = cacheOptions[scopeName];
+    if (!methodCache)
+      return;
+
+    let entries = (cache[scopeName] || []).filter((entry) => !cacheKeyMatches(scopeName, entry, cacheKey));
+
+    entries.push({
+      key:      cacheKey,
+      result,
+      dependencies,
+      expires:  (methodCache.ttl) ? (Date.now() + methodCache.ttl) : null,
+    });
+
+    // Evict the least recently used entries
+    if (entries.length > methodCache.size)
+      entries.splice(0, entries.length - methodCache.size);
+
+    cache[scopeName] = entries;
+  }
+
+  function removeCacheResult(scopeName, result) {
+    let entries = cache[scopeName];
+    if (!entries)
+      return;
+
+    let index = entries.findIndex((entry) => entry.result === result);
+    if (index >= 0)
+      entries.splice(index, 1);
+  }
+
+  function recordCacheAccess(scopeName, hit) {
+    let stats = this[CACHE_STATS];
+    if (!stats)
+      return;
+
+    let methodPath  = getPath(path, scopeName);
+    let methodStats = stats[methodPath];
+    if (!methodStats)
+      methodStats = stats[methodPath] = { hits: 0, misses: 0 };
+
+    if (hit)
+      methodStats.hits++;
+    else
+      methodStats.misses++;
+  }
+
+  function clearCache(writtenPath) {
+    // A sub-scope's state lives inside its parent's state,
+    // so writes to this scope, an ancestor scope, or a
+    // descendant scope invalidate the entire cache
+    if (!writtenPath || pathsOverlap(writtenPath, path)) {
+      cache = {};
+      return;
+    }
+
+    // Drop only the cached results that read the written path
+    const readsWrittenPath = (entry) => Object.keys(entry.dependencies).some((dependency) => pathsOverlap(writtenPath, dependency));
+
+    let scopeNames = Object.keys(cache);
+    for (let i = 0, il = scopeNames.length; i < il; i++) {
+      let scopeName = scopeNames[i];
+      let entries   = cache[scopeName].filter((entry) => !readsWrittenPath(entry));
+
+      if (entries.length === 0)
+        delete cache[scopeName];
+      else
+        cache[scopeName] = entries;
+    }
+  }
+
+  function findInFlight(scopeName, args) {
+    let calls = inFlight[scopeName];
+    if (!calls)
+      return;
+
+    // Superseded calls (see concurrency) are never shared
+    return calls.find((call) => (argsEqual(call.args, args) && !(call.invocation && call.invocation.superseded)));
+  }
+
+  // Track the status of a promise returned by a scope method. Calls
+  // with the same args share the promise until it settles, and a
+  // rejected promise is dropped from the cache, so the next call
+  // tries again.
+  function trackPromise(scopeName, args, promise, dependencies, invocation) {
+    let statuses = this[STATUSES];
+    if (this[DISALLOW_WRITE] || !statuses)
+      return;
+
+    let methodPath  = getPath(path, scopeName);
+    let call        = { args, promise, dependencies, invocation };
+
+    if (!inFlight[scopeName])
+      inFlight[scopeName] = [];
+
+    inFlight[scopeName].push(call);
+
+    const settle = () => {
+      let calls = inFlight[scopeName];
+      let index = (calls) ? calls.indexOf(call) : -1;
+      if (index >= 0)
+        calls.splice(index, 1);
+    };
+
+    updateStatus(this, statuses, methodPath, args, 'pending');
+
+    promise.then(
+      () => {
+        settle();
+        updateStatus(this, statuses, methodPath, args, 'fulfilled');
+      },
+      (error) => {
+        settle();
 
-function queueChangeEvent(path) {
-  let info = this[QUEUE_CHANGE_INFO];
-  if (!info.promise) {
-    info.promise = Promise.resolve();
-    info.promise.then(() => {
-      let modified      = Array.from(Object.keys(info.eventQueue));
-      let previousStore = info.previousStore;
-
-      info.eventQueue = {};
-      info.promise = null;
-      info.previousStore = cloneStore(this, true);
-
-      this.emit('update', {
-        store: this,
-        previousStore,
-        modified,
-      });
-    });
+        removeCacheResult(scopeName, promise);
+
+        updateStatus(this, statuses, methodPath, args, 'rejected', error);
+      },
+    );
   }
 
-  if (!info.eventQueue)
-    info.eventQueue = {};
+  function resolveSubScopes(value, currentState) {
+    // Arrays always carry over their sub scope keys (see copyKeysToArray)
+    if (subScopes.length === 0 || Array.isArray(value))
+      return value;
 
-  info.eventQueue[path] = true;
-}
+    let isObject    = (value && typeof value === 'object');
+    let missingKeys = subScopes.filter((key) => (!isObject || !Object.prototype.hasOwnProperty.call(value, key)));
+    if (missingKeys.length === 0)
+      return value;
 
-function copyKeysToArray(_value, source) {
-  let value = _value;
+    if (options.omittedSubScopes === 'reject')
+      throw new Error(`Error: "${path}" the state value is missing the sub scope keys ${missingKeys.map((key) => `"${key}"`).join(', ')}.`);
 
-  if (Array.isArray(value) && source) {
-    let keys = Object.keys(source);
-    for (let i = 0, il = keys.length; i < il; i++) {
-      let key = keys[i];
-      if ((/^\d+$/).test(key))
-        continue;
+    if (!isObject || !currentState || typeof currentState !== 'object')
+      return value;
 
-      value[key] = source[key];
+    // Preserve the sub scope state the new value omitted
+    let newValue = clone(value);
+    for (let i = 0, il = missingKeys.length; i < il; i++) {
+      let key = missingKeys[i];
+      newValue[key] = currentState[key];
     }
-  }
 
-  return value;
-}
+    return newValue;
+  }
 
-function clone(value) {
-  if (!value)
-    return value;
+  const createScopeMethod = (scopeName, func, kind) => {
+    const methodOptions = getMethodOptions(func);
+    const concurrency   = methodOptions.concurrency;
+
+    // Actions are never cached
+    if (kind === 'action')
+      cacheOptions[scopeName] = false;
+    else
+      cacheOptions[scopeName] = (methodOptions.cache == null) ? DEFAULT_CACHE_OPTIONS : methodOptions.cache;
+
+    if (this[METHODS])
+      this[METHODS][getPath(path, scopeName)] = { path: path || '', name: scopeName, kind };
+
+    // Invocations of this method that are still in flight
+    // (only tracked for methods with a concurrency policy)
+    let running = [];
+
+    const invoke = function(args, invocation) {
+      // Getters can't write, and writes made by
+      // superseded invocations are ignored
+      const guardWrite = (write) => {
+        return (...params) => {
+          if (kind === 'getter')
+            throw new Error(`Error: "${getPath(path, scopeName)}" is a getter, and getters can not write state.`);
+
+          return (invocation.superseded) ? undefined : write(...params);
+        };
+      };
+
+      return collectDependencies(() => {
+        return func({
+          get:      getState.bind(this),
+          set:      guardWrite((value) => setState.call(this, value, { methodName: scopeName, args })),
+          update:   guardWrite((recipe) => updateState.call(this, recipe, { methodName: scopeName, args })),
+          getIn:    (subPath) => readPath(getState.call(this), subPath),
+          setIn:    guardWrite((subPath, value) => setInState.call(this, subPath, value, { methodName: scopeName, args })),
+          deleteIn: guardWrite((subPath) => deleteInState.call(this, subPath, { methodName: scopeName, args })),
+          store:    this,
+          get signal() {
+            return getInvocationSignal(invocation);
+          },
+        }, ...args);
+      });
+    };
 
-  if (value && typeof value === 'object') {
-    if (Array.isArray(value))
-      return copyKeysToArray(value.slice(), value);
+    const trackInvocation = (invocation, promise, dependencies) => {
+      invocation.promise = promise;
+      invocation.dependencies = dependencies;
 
-    return Object.assign({}, value);
-  }
+      running.push(invocation);
 
-  return value;
-}
+      const settle = () => {
+        let index = running.indexOf(invocation);
+        if (index >= 0)
+          running.splice(index, 1);
+      };
 
-function setPath(_context, path, value) {
-  let context   = clone(_context);
-  let pathParts = path.split('.');
-  let current   = context;
+      promise.then(settle, settle);
+    };
 
-  for (let i = 0, il = pathParts.length; i < il; i++) {
-    let pathPart = pathParts[i];
+    const runMethod = function(args) {
+      let invocation = { controller: null, superseded: false, promise: null, dependencies: null };
+      if (!concurrency || this[DISALLOW_WRITE])
+        return Object.assign(invoke.call(this, args, invocation), { invocation });
 
-    if ((i + 1) >= il) {
-      let finalValue;
+      if (concurrency === 'takeLatest') {
+        for (let i = 0, il = running.length; i < il; i++)
+          supersedeInvocation(running[i]);
+      } else if (concurrency === 'queue' && running.length > 0) {
+        // Run once the last queued invocation has settled
+        const run = () => invoke.call(this, args, invocation).result;
 
-      if (Array.isArray(value))
-        finalValue = copyKeysToArray(value, current[pathPart]);
-      else
-        finalValue = value;
+        let promise       = running[running.length - 1].promise.then(run, run);
+        let dependencies  = {};
 
-      if (finalValue && typeof finalValue === 'object')
-        Object.freeze(finalValue);
+        trackInvocation(invocation, promise, dependencies);
 
-      current[pathPart] = finalValue;
-    } else {
-      current[pathPart] = clone(current[pathPart]);
-    }
+        return { result: promise, dependencies, invocation };
+      }
 
-    if (current && typeof current === 'object')
-      Object.freeze(current);
+      let { result, dependencies } = invoke.call(this, args, invocation);
+      if (isPromise(result))
+        trackInvocation(invocation, result, dependencies);
 
-    current = current[pathPart];
-  }
+      return { result, dependencies, invocation };
+    };
 
-  return context;
-}
+    const callMethod = function(args) {
+      let cacheKey  = getCacheKey(scopeName, args);
+      let entry     = findCacheEntry.call(this, scopeName, cacheKey);
+      if (entry) {
+        recordCacheAccess.call(this, scopeName, true);
+        trackDependencies(entry.dependencies);
 
-function getPath(...parts) {
-  return parts.filter(Boolean).join('.');
-}
+        return entry.result;
+      }
 
-function storeUnboundMethod(boundMethod, method) {
-  Object.defineProperty(boundMethod, UNBOUND_METHOD, {
-    writable:     false,
-    enumerable:   false,
-    configurable: false,
-    value:        method,
-  });
+      // Uncached methods don't share in-flight calls either
+      let call = (!this[DISALLOW_WRITE] && cacheOptions[scopeName]) ? findInFlight(scopeName, args) : undefined;
 
-  return boundMethod;
-}
+      // Calls made while another is in flight share its result
+      if (!call && concurrency === 'takeFirst' && !this[DISALLOW_WRITE])
+        call = running[0];
 
-function createStoreSubsection(options, sectionTemplate, path) {
-  function isCacheInvalid(scopeName, args) {
-    if (this[DISALLOW_WRITE])
-      return true;
+      if (call) {
+        recordCacheAccess.call(this, scopeName, true);
+        trackDependencies(call.dependencies);
 
-    let thisCache = cache[scopeName];
-    if (!thisCache)
-      return true;
+        return call.promise;
+      }
 
-    let cacheArgs = thisCache.args;
-    if (cacheArgs.length !== args.length)
-      return true;
+      recordCacheAccess.call(this, scopeName, false);
 
-    for (let i = 0, il = args.length; i < il; i++) {
-      if (cacheArgs[i] !== args[i])
-        return true;
-    }
+      let { result, dependencies, invocation } = runMethod.call(this, args);
 
-    return false;
-  }
+      if (isPromise(result))
+        trackPromise.call(this, scopeName, args, result, dependencies, invocation);
 
-  function setCache(scopeName, args, result) {
-    if (this[DISALLOW_WRITE])
-      return;
+      setCache.call(this, scopeName, cacheKey, result, dependencies);
+      trackDependencies(dependencies);
 
-    cache[scopeName] = {
-      args,
-      result,
+      return result;
     };
-  }
 
-  const createScopeMethod = (scopeName, func) => {
     let method = function(...args) {
-      if (isCacheInvalid.call(this, scopeName, args)) {
-        let result = func({
-          get:    getState.bind(this),
-          set:    setState.bind(this),
-          store:  this,
-        }, ...args);
-
-        setCache.call(this, scopeName, args, result);
-
+      let middleware = options.middleware;
+      if (!middleware || middleware.length === 0)
+        return callMethod.call(this, args);
+
+      let context = {
+        type:           'call',
+        store:          this,
+        path,
+        methodName:     scopeName,
+        args,
+        previousValue:  Nife.get(getInternalState(this), path),
+        nextValue:      undefined,
+      };
+
+      return runMiddleware(this, middleware, context, () => {
+        let result = callMethod.call(this, context.args);
+        context.nextValue = Nife.get(getInternalState(this), path);
         return result;
-      } else {
-        return cache[scopeName].result;
-      }
+      });
     };
 
     return storeUnboundMethod(method.bind(this), method);
@@ -207,46 +1217,161 @@ function createStoreSubsection(options, sectionTemplate, path) {
     if (options.emitOnFetch === true)
       this.emit('fetchScope', { store: this, scopeName: path });
 
-    let currentState = Nife.get(this[INTERNAL_STATE], path);
-    return currentState;
+    trackDependencies({ [path]: true });
+
+    let currentState = Nife.get(getInternalState(this), path);
+    return exposeValue.call(this, currentState, path);
+  }
+
+  function setState(_value, callInfo, subPath) {
+    if (this[DISALLOW_WRITE])
+      return;
+
+    let middleware = options.middleware;
+    if (!middleware || middleware.length === 0)
+      return writeState.call(this, _value, subPath);
+
+    let context = {
+      type:           'set',
+      store:          this,
+      path,
+      methodName:     (callInfo) ? callInfo.methodName : undefined,
+      args:           (callInfo) ? callInfo.args : [],
+      previousValue:  Nife.get(getInternalState(this), path),
+      nextValue:      _value,
+    };
+
+    // Middleware that replaced the value invalidates the sub path
+    return runMiddleware(this, middleware, context, () => writeState.call(this, context.nextValue, (context.nextValue === _value) ? subPath : undefined));
+  }
+
+  // Write the result of a recipe run against a mutable draft of the
+  // current value (drafts that didn't change anything are skipped)
+  function updateState(recipe, callInfo) {
+    if (typeof recipe !== 'function')
+      throw new TypeError(`Error: "${getPath(path)}" update() requires a recipe function.`);
+
+    if (this[DISALLOW_WRITE])
+      return;
+
+    let currentState  = Nife.get(getInternalState(this), path);
+    let value         = produce(currentState, recipe);
+    if (value === currentState)
+      return;
+
+    return setState.call(this, value, callInfo);
+  }
+
+  function assertSubPath(subPath, methodName) {
+    if (!subPath || typeof subPath !== 'string')
+      throw new TypeError(`Error: "${getPath(path)}" ${methodName}() requires a non-empty sub path.`);
+  }
+
+  // Write a value at a path inside this scope's value
+  function setInState(subPath, value, callInfo) {
+    assertSubPath(subPath, 'setIn');
+
+    if (this[DISALLOW_WRITE])
+      return;
+
+    let currentState = Nife.get(getInternalState(this), path);
+    if (readPath(currentState, subPath) === value)
+      return;
+
+    return setState.call(this, setPath(currentState, subPath, value), callInfo, getPath(path, subPath));
   }
 
-  function setState(value) {
+  function deleteInState(subPath, callInfo) {
+    assertSubPath(subPath, 'deleteIn');
+
     if (this[DISALLOW_WRITE])
       return;
 
-    let currentState = Nife.get(this[INTERNAL_STATE], path);
+    let currentState  = Nife.get(getInternalState(this), path);
+    let value         = deletePath(currentState, subPath);
+    if (value === currentState)
+      return;
+
+    return setState.call(this, value, callInfo, getPath(path, subPath));
+  }
+
+  function writeState(_value, subPath) {
+    if (!this[TRANSACTION])
+      flushChangeEvent.call(this);
+
+    let currentState  = Nife.get(getInternalState(this), path);
+    let value         = freezeValue.call(this, _value);
     if (value && typeof value === 'object' && value === currentState)
       throw new Error(`Error: "${getPath(path)}" the state value is the same, but it is required to be different.`);
 
-    if (!Nife.propsDiffer(value, currentState))
+    value = resolveSubScopes(value, currentState);
+
+    if (shallowEqual(value, currentState))
+      return;
+
+    let transaction = getWriteTransaction(this);
+    if (transaction && transaction.aborted)
       return;
 
-    let previousState = currentState;
-    this[INTERNAL_STATE] = setPath(this[INTERNAL_STATE], path, value);
+    let nextState = setPath(getInternalState(this), path, value);
+
+    validateState.call(this, nextState, [ path ]);
+
+    if (transaction) {
+      transaction.state = nextState;
+      transaction.modified[path] = true;
+      recordSubPath(transaction.subPaths, path, subPath);
+
+      return value;
+    }
+
+    this[INTERNAL_STATE] = nextState;
 
-    cache = {};
+    invalidateCaches.call(this, path);
 
     if (this[QUEUE_CHANGE_EVENT])
-      this[QUEUE_CHANGE_EVENT](path, value, previousState);
+      this[QUEUE_CHANGE_EVENT](path, undefined, subPath);
 
     return value;
   }
 
+  // Group methods are installed on the scope itself
+  function createMethodGroup(kind, groupName, group) {
+    let names = Object.keys(group);
+    for (let i = 0, il = names.length; i < il; i++) {
+      let name  = names[i];
+      let func  = group[name];
+
+      if (typeof func !== 'function')
+        throw new TypeError(`Error: Value of "${getPath(path, groupName, name)}" is invalid. All ${groupName} must be functions.`);
+
+      if (Object.prototype.hasOwnProperty.call(sectionTemplate, name) || Object.prototype.hasOwnProperty.call(scope, name))
+        throw new Error(`Error: "${getPath(path, name)}" is defined more than once.`);
+
+      scope[name] = createScopeMethod(name, func, kind);
+    }
+  }
+
   if (path && !Object.prototype.hasOwnProperty.call(sectionTemplate, '_'))
     throw new Error(`Error: "${getPath}._" default value must be defined.`);
 
   const scope   = (!path) ? this : {};
   let keys      = Object.keys(sectionTemplate || {});
   let subScopes = [];
-  let cache     = {};
+  let cache         = {};
+  let cacheOptions  = {};
+  let inFlight      = {};
+
+  if (path && this[SCOPES])
+    this[SCOPES][path] = { path, template: sectionTemplate, clearCache };
 
-  // Register cache-clearing function so hydrate() can invalidate all scopes
+  // Register cache-clearing function so hydrate() can invalidate all
+  // scopes, and so writes can invalidate results that depend on them
   if (this[CLEAR_CACHES])
-    this[CLEAR_CACHES].push(() => { cache = {}; });
+    this[CLEAR_CACHES].push(clearCache);
 
   if (path)
-    setState.call(this, clone(sectionTemplate._));
+    writeState.call(this, clone(sectionTemplate._));
 
   for (let i = 0, il = keys.length; i < il; i++) {
     let key = keys[i];
@@ -254,6 +1379,25 @@ function createStoreSubsection(options, sectionTemplate, path) {
       continue;
 
     let value = sectionTemplate[key];
+    if (key === 'schema' && isType(value))
+      continue;
+
+    // Root "computed" declarations (a scope would have a default value)
+    if (!path && key === 'computed' && Nife.instanceOf(value, 'object') && !Object.prototype.hasOwnProperty.call(value, '_') && this[COMPUTED]) {
+      scope[key] = createComputedScope.call(this, value);
+      continue;
+    }
+
+    // Index declarations (a scope would have a default value)
+    if (path && key === 'indexes' && Nife.instanceOf(value, 'object') && !Object.prototype.hasOwnProperty.call(value, '_'))
+      continue;
+
+    // "actions" and "getters" groups (a scope would have a default value)
+    if ((key === 'actions' || key === 'getters') && Nife.instanceOf(value, 'object') && !Object.prototype.hasOwnProperty.call(value, '_')) {
+      createMethodGroup((key === 'actions') ? 'action' : 'getter', key, value);
+      continue;
+    }
+
     if (Nife.instanceOf(value, 'object')) {
       scope[key] = createStoreSubsection.call(this, options, value, getPath(path, key));
       subScopes.push(key);
@@ -263,7 +1407,26 @@ function createStoreSubsection(options, sectionTemplate, path) {
     if (typeof value !== 'function')
       throw new TypeError(`Error: Value of "${getPath(path, key)}" is invalid. All properties must be functions, or sub scopes.`);
 
-    scope[key] = createScopeMethod(key, value);
+    scope[key] = createScopeMethod(key, value, 'method');
+  }
+
+  // Indexed scopes get a findBy(indexName, value) getter
+  let indexes = sectionTemplate.indexes;
+  if (path && Nife.instanceOf(indexes, 'object') && !Object.prototype.hasOwnProperty.call(indexes, '_')) {
+    if (Object.prototype.hasOwnProperty.call(scope, 'findBy'))
+      throw new Error(`Error: "${getPath(path, 'findBy')}" is defined more than once.`);
+
+    let scopeIndexes = createScopeIndexes(path, indexes);
+    scope.findBy = createScopeMethod('findBy', ({ get }, indexName, indexValue) => scopeIndexes.findBy(get(), indexName, indexValue), 'getter');
+  }
+
+  // Schemas are registered once the scope (and all of its sub scopes)
+  // have their default values, so the defaults are validated once
+  if (isType(sectionTemplate.schema) && this[SCHEMAS]) {
+    this[SCHEMAS][path || ''] = sectionTemplate.schema;
+
+    let state = getInternalState(this);
+    reportValidationErrors.call(this, validateValue(sectionTemplate.schema, (path) ? Nife.get(state, path) : state, path, []));
   }
 
   if (!path)
@@ -272,13 +1435,137 @@ function createStoreSubsection(options, sectionTemplate, path) {
     return Object.freeze(scope);
 }
 
+// Add middleware after the store was created. The middleware
+// list is shared with cloned stores, just like the middleware
+// provided to createStore.
+function useMiddleware(middleware) {
+  if (typeof middleware !== 'function')
+    throw new TypeError('Error: Unable to use middleware, provided "middleware" must be a function.');
+
+  let options = this[STORE_OPTIONS];
+  options.middleware.push(middleware);
+
+  return () => {
+    let index = options.middleware.indexOf(middleware);
+    if (index >= 0)
+      options.middleware.splice(index, 1);
+  };
+}
+
+function assertScopeRegistration(path, action) {
+  if (!path || typeof path !== 'string' || path.indexOf('.') >= 0)
+    throw new TypeError(`Error: Unable to ${action} scope, provided "path" must be a top-level scope name.`);
+
+  if (this[TRANSACTION] || this[ASYNC_TRANSACTION])
+    throw new Error(`Error: Unable to ${action} scope "${path}" while a transaction is running.`);
+}
+
+// Add a scope (built from a template, just like the scopes
+// given to createStore) to the store at runtime
+function registerScope(path, sectionTemplate) {
+  assertScopeRegistration.call(this, path, 'register');
+
+  if (!Nife.instanceOf(sectionTemplate, 'object') || !Object.prototype.hasOwnProperty.call(sectionTemplate, '_'))
+    throw new TypeError(`Error: Unable to register scope "${path}", provided "template" must be an object with a "_" default value.`);
+
+  if (path in this)
+    throw new Error(`Error: Unable to register scope "${path}", the store already has a "${path}" property.`);
+
+  flushChangeEvent.call(this, 'registerScope');
+
+  try {
+    this[path] = createStoreSubsection.call(this, this[STORE_OPTIONS], sectionTemplate, path);
+  } catch (error) {
+    // Don't leave a partially registered scope behind
+    removeScope.call(this, path);
+    throw error;
+  }
+
+  queueChangeEvent.call(this, path, 'registerScope');
+
+  return this[path];
+}
+
+function unregisterScope(path) {
+  assertScopeRegistration.call(this, path, 'unregister');
+
+  if (!this[SCOPES][path])
+    throw new Error(`Error: Unable to unregister scope "${path}", no such scope exists.`);
+
+  flushChangeEvent.call(this, 'unregisterScope');
+  removeScope.call(this, path);
+
+  invalidateCaches.call(this, path);
+  queueChangeEvent.call(this, path, 'unregisterScope');
+}
+
+// Forget a scope, along with its sub scopes and state
+function removeScope(path) {
+  let scopes = this[SCOPES];
+
+  const isRemoved = (scopePath) => (scopePath === path || scopePath.startsWith(`${path}.`));
+
+  let clearFns    = this[CLEAR_CACHES];
+  let scopePaths  = Object.keys(scopes).filter(isRemoved);
+
+  for (let i = 0, il = scopePaths.length; i < il; i++) {
+    let scopePath = scopePaths[i];
+    let index     = clearFns.indexOf(scopes[scopePath].clearCache);
+    if (index >= 0)
+      clearFns.splice(index, 1);
+
+    delete scopes[scopePath];
+    delete this[SCHEMAS][scopePath];
+  }
+
+  let methods = this[METHODS];
+  Object.keys(methods).filter((methodPath) => isRemoved(methods[methodPath].path)).forEach((methodPath) => {
+    delete methods[methodPath];
+  });
+
+  delete this[path];
+
+  this[INTERNAL_STATE] = deletePath(this[INTERNAL_STATE], path);
+}
+
 function initializeStore(store, readyOnly) {
   Object.defineProperties(store, {
     'getState': {
       writable:     false,
       enumberable:  false,
       configurable: false,
-      value:        () => store[INTERNAL_STATE],
+      value:        () => exposeValue.call(store, getInternalState(store), ''),
+    },
+    'status': {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        (methodPath, args) => readStatus(store[STATUSES] || {}, methodPath, args),
+    },
+    'cacheStats': {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        () => readCacheStats(store[CACHE_STATS] || {}),
+    },
+    'describe': {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        () => describeStore(store[SCOPES] || {}, store[METHODS] || {}),
+    },
+    'getSnapshot': {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        () => {
+        let options = store[STORE_OPTIONS] || {};
+
+        return {
+          $version: options.version || 0,
+          state:    exposeValue.call(store, getInternalState(store), ''),
+        };
+      },
     },
   });
 
@@ -288,23 +1575,104 @@ function initializeStore(store, readyOnly) {
         writable:     false,
         enumberable:  false,
         configurable: false,
-        value:        (value) => {
-          store[INTERNAL_STATE] = Object.freeze(clone(value));
+        value:        (_value, _options) => {
+          let options     = _options || {};
+          let transaction = getWriteTransaction(store);
+          let value       = _value;
+
+          if (options.path != null || options.merge === true)
+            return hydratePartial.call(store, value, options.path, options.merge === true, options.reason || 'hydrate');
+
+          if (!transaction)
+            flushChangeEvent.call(store, options.reason || 'hydrate');
+
+          if (isSnapshot(value))
+            value = migrateState.call(store, value.state, value.$version);
+          else if (options.version != null)
+            value = migrateState.call(store, value, options.version);
+
+          let newState = Object.freeze(freezeValue.call(store, clone(value)));
+
+          validateState.call(store, newState, [ '*' ]);
+
+          if (transaction) {
+            if (!transaction.aborted) {
+              transaction.state = newState;
+              transaction.modified['*'] = true;
+              transaction.reason = options.reason || 'hydrate';
+            }
+
+            return;
+          }
+
+          store[INTERNAL_STATE] = newState;
 
           // Clear all scope method caches
-          let clearFns = store[CLEAR_CACHES];
-          for (let i = 0, il = clearFns.length; i < il; i++)
-            clearFns[i]();
+          invalidateCaches.call(store);
 
-          queueChangeEvent.call(store, '*');
+          queueChangeEvent.call(store, '*', options.reason || 'hydrate');
         },
       },
+      'transaction': {
+        writable:     false,
+        enumerable:   false,
+        configurable: false,
+        value:        runTransaction.bind(store),
+      },
+      'use': {
+        writable:     false,
+        enumerable:   false,
+        configurable: false,
+        value:        useMiddleware.bind(store),
+      },
+      'registerScope': {
+        writable:     false,
+        enumerable:   false,
+        configurable: false,
+        value:        registerScope.bind(store),
+      },
+      'unregisterScope': {
+        writable:     false,
+        enumerable:   false,
+        configurable: false,
+        value:        unregisterScope.bind(store),
+      },
+      'subscribe': {
+        writable:     false,
+        enumerable:   false,
+        configurable: false,
+        value:        (path, listener) => subscribe(store, path, listener),
+      },
+      'watch': {
+        writable:     false,
+        enumerable:   false,
+        configurable: false,
+        value:        (selector, listener, options) => watch(store, selector, listener, options),
+      },
+      [TRANSACTION]: {
+        writable:     true,
+        enumerable:   false,
+        configurable: false,
+        value:        null,
+      },
+      [ASYNC_TRANSACTION]: {
+        writable:     true,
+        enumerable:   false,
+        configurable: false,
+        value:        null,
+      },
       [QUEUE_CHANGE_EVENT]: {
         writable:     false,
         enumberable:  false,
         configurable: false,
         value:        queueChangeEvent.bind(store),
       },
+      [FLUSH_CHANGE_EVENT]: {
+        writable:     false,
+        enumerable:   false,
+        configurable: false,
+        value:        flushChangeEvent.bind(store),
+      },
       [QUEUE_CHANGE_INFO]: {
         writable:     true,
         enumberable:  false,
@@ -332,9 +1700,29 @@ export function createStore(template, _options) {
   if (!Nife.instanceOf(template, 'object'))
     throw new TypeError('createStore: provided "template" must be an object.');
 
-  const options = _options || {};
+  const options = Object.assign({}, _options || {});
   const store = new EventEmitter();
 
+  if (options.version != null && (typeof options.version !== 'number' || options.version < 0 || Math.floor(options.version) !== options.version))
+    throw new TypeError('createStore: provided "version" must be a non-negative integer.');
+
+  if (options.validation != null && options.validation !== 'throw' && options.validation !== 'report')
+    throw new TypeError('createStore: provided "validation" must be "throw" or "report".');
+
+  if (options.freeze != null && options.freeze !== 'shallow' && options.freeze !== 'deep' && options.freeze !== 'dev')
+    throw new TypeError('createStore: provided "freeze" must be "shallow", "deep", or "dev".');
+
+  if (options.freezeSkip != null && typeof options.freezeSkip !== 'function' && !Array.isArray(options.freezeSkip))
+    throw new TypeError('createStore: provided "freezeSkip" must be a function, or an array of classes.');
+
+  options.freezeSkip = createFreezeSkip(options.freezeSkip);
+
+  options.middleware = Nife.toArray(options.middleware).filter(Boolean);
+  for (let i = 0, il = options.middleware.length; i < il; i++) {
+    if (typeof options.middleware[i] !== 'function')
+      throw new TypeError('createStore: provided "middleware" must be a function, or an array of functions.');
+  }
+
   store.setMaxListeners(Infinity);
 
   Object.defineProperty(store, INTERNAL_STATE, {
@@ -351,6 +1739,66 @@ export function createStore(template, _options) {
     value:        [],
   });
 
+  Object.defineProperty(store, STORE_OPTIONS, {
+    writable:     false,
+    enumerable:   false,
+    configurable: false,
+    value:        options,
+  });
+
+  Object.defineProperty(store, SCOPES, {
+    writable:     false,
+    enumerable:   false,
+    configurable: false,
+    value:        {},
+  });
+
+  Object.defineProperty(store, SCHEMAS, {
+    writable:     false,
+    enumerable:   false,
+    configurable: false,
+    value:        {},
+  });
+
+  Object.defineProperty(store, COMPUTED, {
+    writable:     false,
+    enumerable:   false,
+    configurable: false,
+    value:        [],
+  });
+
+  Object.defineProperty(store, STATUSES, {
+    writable:     false,
+    enumerable:   false,
+    configurable: false,
+    value:        {},
+  });
+
+  Object.defineProperty(store, CACHE_STATS, {
+    writable:     false,
+    enumerable:   false,
+    configurable: false,
+    value:        {},
+  });
+
+  Object.defineProperty(store, METHODS, {
+    writable:     false,
+    enumerable:   false,
+    configurable: false,
+    value:        {},
+  });
+
   let constructedStore = createStoreSubsection.call(store, options, template);
-  return initializeStore(constructedStore);
+  initializeStore(constructedStore);
+
+  if (options.history) {
+    Object.defineProperty(constructedStore, 'history', {
+      writable:     false,
+      enumerable:   false,
+      configurable: false,
+      value:        createHistory(constructedStore, (options.history === true) ? {} : options.history),
+    });
+  }
+
+  return constructedStore;
 }
@@ -0,0 +1,138 @@
+import { getPath } from './utils.js';
+
+function isEntityCollection(value) {
+  return (value != null && typeof value === 'object' && !Array.isArray(value) && Array.isArray(value.ids) && value.byId != null && typeof value.byId === 'object');
+}
+
+// The items of arrays, Map and Set values,
+// and entity collections (see entityScope)
+function getItems(path, value) {
+  if (Array.isArray(value))
+    return value;
+
+  if (value instanceof Map || value instanceof Set)
+    return Array.from(value.values());
+
+  if (isEntityCollection(value))
+    return value.ids.map((id) => value.byId[id]);
+
+  if (value == null)
+    return [];
+
+  throw new TypeError(`Error: "${path}" indexes require the scope value to be an array, a Map, a Set, or an entity collection.`);
+}
+
+// Secondary indexes over the items of a scope value. Indexes are
+// brought up to date when queried, by only indexing the items that
+// were added or removed since the value that was last indexed.
+export function createScopeIndexes(path, definitions) {
+  let names = Object.keys(definitions);
+  for (let i = 0, il = names.length; i < il; i++) {
+    let name        = names[i];
+    let definition  = definitions[name];
+
+    if (typeof definition !== 'function' && (!definition || typeof definition !== 'string'))
+      throw new TypeError(`Error: Value of "${getPath(path, 'indexes', name)}" is invalid. Indexes must be item keys, or functions.`);
+  }
+
+  let indexedValue;
+  let positions = null;
+  let itemKeys  = new Map();
+  let buckets   = {};
+
+  names.forEach((name) => {
+    buckets[name] = new Map();
+  });
+
+  const getIndexValue = (name, item) => {
+    let definition = definitions[name];
+    if (typeof definition === 'function')
+      return definition(item);
+
+    return (item != null && typeof item === 'object') ? item[definition] : undefined;
+  };
+
+  // The index values of each item are kept, so
+  // removing an item doesn't need to compute them
+  const addItem = (item) => {
+    let keys = [];
+
+    for (let i = 0, il = names.length; i < il; i++) {
+      let bucketMap = buckets[names[i]];
+      let key       = getIndexValue(names[i], item);
+      let bucket    = bucketMap.get(key);
+
+      keys.push(key);
+
+      if (!bucket) {
+        bucket = new Set();
+        bucketMap.set(key, bucket);
+      }
+
+      bucket.add(item);
+    }
+
+    itemKeys.set(item, keys);
+  };
+
+  const removeItem = (item) => {
+    let keys = itemKeys.get(item);
+
+    for (let i = 0, il = names.length; i < il; i++) {
+      let bucketMap = buckets[names[i]];
+      let key       = keys[i];
+      let bucket    = bucketMap.get(key);
+
+      if (!bucket)
+        continue;
+
+      bucket.delete(item);
+      if (bucket.size === 0)
+        bucketMap.delete(key);
+    }
+
+    itemKeys.delete(item);
+  };
+
+  const update = (value) => {
+    if (positions && value === indexedValue)
+      return;
+
+    let items         = getItems(path, value);
+    let nextPositions = new Map();
+
+    for (let i = 0, il = items.length; i < il; i++)
+      nextPositions.set(items[i], i);
+
+    if (positions) {
+      positions.forEach((_, item) => {
+        if (!nextPositions.has(item))
+          removeItem(item);
+      });
+    }
+
+    nextPositions.forEach((_, item) => {
+      if (!positions || !positions.has(item))
+        addItem(item);
+    });
+
+    positions = nextPositions;
+    indexedValue = value;
+  };
+
+  // Items are returned in the order of the scope value
+  const findBy = (value, indexName, indexValue) => {
+    if (!Object.prototype.hasOwnProperty.call(buckets, indexName))
+      throw new Error(`Error: "${path}" has no index named "${indexName}".`);
+
+    update(value);
+
+    let bucket = buckets[indexName].get(indexValue);
+    if (!bucket)
+      return [];
+
+    return Array.from(bucket).sort((itemA, itemB) => (positions.get(itemA) - positions.get(itemB)));
+  };
+
+  return { findBy };
+}
@@ -0,0 +1,67 @@
+import Nife from 'nife';
+
+const METHOD_OPTIONS       = Symbol.for('@seqdaMethodOptions');
+const CONCURRENCY_POLICIES = [ 'takeLatest', 'takeFirst', 'queue' ];
+
+// "cache: false" disables caching, "cache: true" is the default
+// (the last call is cached), and objects configure the cache
+function normalizeCacheOptions(cache) {
+  if (cache === false)
+    return false;
+
+  if (cache === true)
+    return Object.freeze({ size: 1 });
+
+  if (!Nife.instanceOf(cache, 'object'))
+    throw new TypeError('defineMethod: provided "cache" must be a boolean, or an object.');
+
+  let size = (cache.size == null) ? 1 : cache.size;
+  if (size !== Infinity && !(Number.isInteger(size) && size > 0))
+    throw new TypeError('defineMethod: provided "cache.size" must be a positive integer.');
+
+  if (cache.key != null && typeof cache.key !== 'function')
+    throw new TypeError('defineMethod: provided "cache.key" must be a function.');
+
+  if (cache.ttl != null && !(typeof cache.ttl === 'number' && cache.ttl > 0))
+    throw new TypeError('defineMethod: provided "cache.ttl" must be a positive number.');
+
+  return Object.freeze({
+    size,
+    key:  cache.key || null,
+    ttl:  cache.ttl || null,
+  });
+}
+
+// Declare a scope method with options, for use in a template:
+// "getUser: defineMethod(async ({ set, signal }, id) => ..., { concurrency: 'takeLatest' })"
+export function defineMethod(func, _options) {
+  if (typeof func !== 'function')
+    throw new TypeError('defineMethod: provided "func" must be a function.');
+
+  if (_options != null && !Nife.instanceOf(_options, 'object'))
+    throw new TypeError('defineMethod: provided "options" must be an object.');
+
+  let options = Object.assign({}, _options || {});
+  if (options.concurrency != null && CONCURRENCY_POLICIES.indexOf(options.concurrency) < 0)
+    throw new TypeError('defineMethod: provided "concurrency" must be "takeLatest", "takeFirst", or "queue".');
+
+  if (options.cache != null)
+    options.cache = normalizeCacheOptions(options.cache);
+
+  let method = function(...args) {
+    return func.apply(this, args);
+  };
+
+  Object.defineProperty(method, METHOD_OPTIONS, {
+    writable:     false,
+    enumerable:   false,
+    configurable: false,
+    value:        Object.freeze(options),
+  });
+
+  return method;
+}
+
+export function getMethodOptions(func) {
+  return func[METHOD_OPTIONS] || {};
+}
@@ -0,0 +1,253 @@
+import Nife from 'nife';
+import {
+  setPath,
+  readPath,
+  deletePath,
+  pathsOverlap,
+} from './utils.js';
+
+const ADAPTER_METHODS = [ 'getItem', 'setItem', 'removeItem' ];
+const MAP_TAG         = '$seqda:map';
+const SET_TAG         = '$seqda:set';
+
+function assertAdapter(adapter, name) {
+  if (!adapter || typeof adapter !== 'object')
+    throw new TypeError(`${name}: provided "adapter" must be an object.`);
+
+  for (let i = 0, il = ADAPTER_METHODS.length; i < il; i++) {
+    let methodName = ADAPTER_METHODS[i];
+    if (typeof adapter[methodName] !== 'function')
+      throw new TypeError(`${name}: provided "adapter" must implement "${methodName}".`);
+  }
+}
+
+function isTagged(value, tag) {
+  return (Array.isArray(value[tag]) && Object.keys(value).length === 1);
+}
+
+// JSON, with Maps and Sets encoded as tagged objects
+export function serializeState(state) {
+  return JSON.stringify(state, (key, value) => {
+    if (value instanceof Map)
+      return { [MAP_TAG]: Array.from(value.entries()) };
+
+    if (value instanceof Set)
+      return { [SET_TAG]: Array.from(value.values()) };
+
+    return value;
+  });
+}
+
+export function deserializeState(data) {
+  return JSON.parse(data, (key, value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value))
+      return value;
+
+    if (isTagged(value, MAP_TAG))
+      return new Map(value[MAP_TAG]);
+
+    if (isTagged(value, SET_TAG))
+      return new Set(value[SET_TAG]);
+
+    return value;
+  });
+}
+
+// Wrap a localStorage-like object (getItem, setItem, removeItem)
+export function createKeyValueAdapter(storage) {
+  assertAdapter(storage, 'createKeyValueAdapter');
+
+  return {
+    getItem:    async (key) => {
+      let value = await storage.getItem(key);
+      return (value == null) ? null : value;
+    },
+    setItem:    async (key, value) => {
+      await storage.setItem(key, value);
+    },
+    removeItem: async (key) => {
+      await storage.removeItem(key);
+    },
+  };
+}
+
+export function persistStore(store, adapter, _options) {
+  assertAdapter(adapter, 'persistStore');
+
+  const options = Object.assign({
+    key:      'seqda',
+    version:  0,
+    debounce: 0,
+  }, _options || {});
+
+  const key     = options.key;
+  const paths   = (options.paths) ? Nife.toArray(options.paths).filter(Boolean) : null;
+  const exclude = (options.exclude) ? Nife.toArray(options.exclude).filter(Boolean) : [];
+
+  let restored  = false;
+  let stopped   = false;
+  let timer     = null;
+  let saving    = Promise.resolve();
+
+  const isPersisted = (path) => {
+    if (path === '*')
+      return true;
+
+    if (paths && !paths.some((includePath) => pathsOverlap(path, includePath)))
+      return false;
+
+    // Writes that only touched excluded paths don't need a save
+    return !exclude.some((excludePath) => (path === excludePath || path.startsWith(`${excludePath}.`)));
+  };
+
+  const pickState = (state) => {
+    let picked;
+
+    if (paths) {
+      picked = {};
+
+      for (let i = 0, il = paths.length; i < il; i++) {
+        let path  = paths[i];
+        let value = readPath(state, path);
+
+        if (value !== undefined)
+          Nife.set(picked, path, value);
+      }
+    } else {
+      picked = state;
+    }
+
+    for (let i = 0, il = exclude.length; i < il; i++)
+      picked = deletePath(picked, exclude[i]);
+
+    return picked;
+  };
+
+  const restoreState = (persistedState) => {
+    let currentState  = store.getState();
+    let newState      = currentState;
+    let restorePaths  = paths || Object.keys(persistedState);
+
+    for (let i = 0, il = restorePaths.length; i < il; i++) {
+      let path  = restorePaths[i];
+      let value = readPath(persistedState, path);
+
+      if (value !== undefined)
+        newState = setPath(newState, path, value);
+    }
+
+    // Excluded paths always keep their current value
+    for (let i = 0, il = exclude.length; i < il; i++) {
+      let path = exclude[i];
+      newState = setPath(newState, path, readPath(currentState, path));
+    }
+
+    // Only restored paths are invalidated and reported
+    store.transaction(() => {
+      for (let i = 0, il = restorePaths.length; i < il; i++) {
+        let path = restorePaths[i];
+        if (readPath(persistedState, path) !== undefined)
+          store.hydrate(readPath(newState, path), { path, reason: 'restore' });
+      }
+    });
+  };
+
+  const save = () => {
+    timer = null;
+
+    let data = serializeState({
+      version:  options.version,
+      state:    pickState(store.getState()),
+    });
+
+    saving = saving
+      .then(() => adapter.setItem(key, data))
+      .catch((error) => {
+        store.emit('persistError', { store, error });
+      });
+
+    return saving;
+  };
+
+  const scheduleSave = () => {
+    if (stopped)
+      return;
+
+    if (!(options.debounce > 0)) {
+      save();
+      return;
+    }
+
+    if (timer)
+      clearTimeout(timer);
+
+    timer = setTimeout(save, options.debounce);
+  };
+
+  const onUpdate = ({ modified, reason }) => {
+    // Don't overwrite persisted state before it was restored,
+    // and don't write back the state that was just restored
+    if (!restored || reason === 'restore')
+      return;
+
+    if (!modified.some(isPersisted))
+      return;
+
+    scheduleSave();
+  };
+
+  store.on('update', onUpdate);
+
+  const ready = (async () => {
+    try {
+      let data = await adapter.getItem(key);
+      if (data == null || stopped)
+        return;
+
+      let { version, state } = deserializeState(data);
+
+      if (version !== options.version) {
+        // Persisted state we don't know how to migrate is discarded
+        if (typeof options.migrate !== 'function')
+          return;
+
+        state = await options.migrate(state, version);
+      }
+
+      if (state && !stopped)
+        restoreState(state);
+    } catch (error) {
+      // Like failed saves, failed restores are reported
+      // (the store keeps its current state)
+      store.emit('persistError', { store, error });
+    } finally {
+      restored = true;
+    }
+  })();
+
+  return {
+    ready,
+    flush: () => {
+      if (timer) {
+        clearTimeout(timer);
+        save();
+      }
+
+      return saving;
+    },
+    stop: () => {
+      stopped = true;
+
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+
+      store.off('update', onUpdate);
+    },
+    purge: async () => {
+      await saving;
+      await adapter.removeItem(key);
+    },
+  };
+}
@@ -0,0 +1,185 @@
+import Nife from 'nife';
+
+const TYPE_DESCRIPTOR = Symbol.for('@seqdaTypeDescriptor');
+
+function describeValue(value) {
+  if (value === null)
+    return 'null';
+
+  if (Array.isArray(value))
+    return 'an array';
+
+  if (value === undefined)
+    return 'undefined';
+
+  if (typeof value === 'object')
+    return 'an object';
+
+  return `a ${typeof value}`;
+}
+
+function childPath(path, key) {
+  return (path) ? `${path}.${key}` : `${key}`;
+}
+
+function addError(errors, path, message, value) {
+  errors.push({
+    path,
+    message: `"${path || '<root>'}" ${message}`,
+    value,
+  });
+}
+
+function createType(description, check) {
+  return Object.freeze({
+    [TYPE_DESCRIPTOR]:  true,
+    description,
+    check,
+  });
+}
+
+function createPrimitiveType(typeName) {
+  return createType(`a ${typeName}`, (value, path, errors) => {
+    if (typeof value !== typeName)
+      addError(errors, path, `must be a ${typeName}, but received ${describeValue(value)}.`, value);
+  });
+}
+
+export function isType(value) {
+  return (value != null && value[TYPE_DESCRIPTOR] === true);
+}
+
+// Plain objects are shorthand for Types.shape
+function toType(value, name) {
+  if (isType(value))
+    return value;
+
+  if (Nife.instanceOf(value, 'object'))
+    return Types.shape(value);
+
+  throw new TypeError(`Types.${name}: provided type must be a type descriptor, or a shape object.`);
+}
+
+export const Types = Object.freeze({
+  any:      createType('anything', () => {}),
+  string:   createPrimitiveType('string'),
+  number:   createPrimitiveType('number'),
+  boolean:  createPrimitiveType('boolean'),
+  func:     createPrimitiveType('function'),
+  arrayOf:  (_type) => {
+    let type = toType(_type, 'arrayOf');
+
+    return createType(`an array of ${type.description}`, (value, path, errors) => {
+      if (!Array.isArray(value)) {
+        addError(errors, path, `must be an array, but received ${describeValue(value)}.`, value);
+        return;
+      }
+
+      for (let i = 0, il = value.length; i < il; i++)
+        type.check(value[i], childPath(path, i), errors);
+    });
+  },
+  objectOf: (_type) => {
+    let type = toType(_type, 'objectOf');
+
+    return createType(`an object of ${type.description}`, (value, path, errors) => {
+      if (!Nife.instanceOf(value, 'object')) {
+        addError(errors, path, `must be an object, but received ${describeValue(value)}.`, value);
+        return;
+      }
+
+      let keys = Object.keys(value);
+      for (let i = 0, il = keys.length; i < il; i++)
+        type.check(value[keys[i]], childPath(path, keys[i]), errors);
+    });
+  },
+  shape:    (shape, _options) => {
+    if (!Nife.instanceOf(shape, 'object'))
+      throw new TypeError('Types.shape: provided "shape" must be an object.');
+
+    let options = _options || {};
+    let keys    = Object.keys(shape);
+    let types   = {};
+
+    for (let i = 0, il = keys.length; i < il; i++)
+      types[keys[i]] = toType(shape[keys[i]], 'shape');
+
+    return createType('an object', (value, path, errors) => {
+      if (!Nife.instanceOf(value, 'object')) {
+        addError(errors, path, `must be an object, but received ${describeValue(value)}.`, value);
+        return;
+      }
+
+      for (let i = 0, il = keys.length; i < il; i++)
+        types[keys[i]].check(value[keys[i]], childPath(path, keys[i]), errors);
+
+      if (options.exact !== true)
+        return;
+
+      let valueKeys = Object.keys(value);
+      for (let i = 0, il = valueKeys.length; i < il; i++) {
+        let key = valueKeys[i];
+        if (!Object.prototype.hasOwnProperty.call(types, key))
+          addError(errors, childPath(path, key), 'is not an allowed key.', value[key]);
+      }
+    });
+  },
+  oneOf:    (values) => {
+    if (!Array.isArray(values))
+      throw new TypeError('Types.oneOf: provided "values" must be an array.');
+
+    let description = `one of ${values.map((value) => JSON.stringify(value)).join(', ')}`;
+
+    return createType(description, (value, path, errors) => {
+      if (values.indexOf(value) < 0)
+        addError(errors, path, `must be ${description}, but received ${JSON.stringify(value)}.`, value);
+    });
+  },
+  oneOfType: (_types) => {
+    if (!Array.isArray(_types))
+      throw new TypeError('Types.oneOfType: provided "types" must be an array.');
+
+    let types       = _types.map((type) => toType(type, 'oneOfType'));
+    let description = types.map((type) => type.description).join(', or ');
+
+    return createType(description, (value, path, errors) => {
+      let matches = types.some((type) => {
+        let typeErrors = [];
+        type.check(value, path, typeErrors);
+        return (typeErrors.length === 0);
+      });
+
+      if (!matches)
+        addError(errors, path, `must be ${description}, but received ${describeValue(value)}.`, value);
+    });
+  },
+  nullable: (_type) => {
+    let type = toType(_type, 'nullable');
+
+    return createType(`${type.description} (or null)`, (value, path, errors) => {
+      if (value != null)
+        type.check(value, path, errors);
+    });
+  },
+  // The validator returns true when valid, or
+  // false (or an error message) when invalid
+  custom:   (validator, description) => {
+    if (typeof validator !== 'function')
+      throw new TypeError('Types.custom: provided "validator" must be a function.');
+
+    return createType(description || 'valid', (value, path, errors) => {
+      let result = validator(value);
+      if (result === true)
+        return;
+
+      addError(errors, path, (typeof result === 'string') ? result : `must be ${description || 'valid'}.`, value);
+    });
+  },
+});
+
+// Collect schema violations of a value (nothing
+// collected means the value is valid)
+export function validateValue(type, value, path, errors) {
+  toType(type, 'validate').check(value, path || '', errors);
+  return errors;
+}
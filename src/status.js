@@ -0,0 +1,68 @@
+import { argsEqual } from './utils.js';
+
+const IDLE_STATUS = Object.freeze({ status: 'idle', error: undefined });
+
+// Settled calls are kept per method path, up to this many
+// (pending calls are always kept, until they settle)
+const MAX_SETTLED_STATUSES = 50;
+
+export function isPromise(value) {
+  return (value != null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function');
+}
+
+function findStatusEntry(statuses, methodPath, args) {
+  let entries = statuses[methodPath];
+  if (!entries)
+    return;
+
+  return entries.find((entry) => argsEqual(entry.args, args));
+}
+
+// Forget the least recently settled calls
+function evictSettledStatuses(entries) {
+  let settled = entries.filter((entry) => (entry.status !== 'pending'));
+
+  for (let i = 0, il = settled.length - MAX_SETTLED_STATUSES; i < il; i++)
+    entries.splice(entries.indexOf(settled[i]), 1);
+}
+
+// Record the status of a promise-returning method call (one
+// entry per method path and args), and emit a "status" event
+export function updateStatus(store, statuses, methodPath, args, status, error) {
+  if (!statuses[methodPath])
+    statuses[methodPath] = [];
+
+  let entries = statuses[methodPath];
+  let entry   = findStatusEntry(statuses, methodPath, args);
+
+  // The most recently updated entries are kept last
+  if (entry)
+    entries.splice(entries.indexOf(entry), 1);
+  else
+    entry = { args };
+
+  entries.push(entry);
+
+  entry.status = status;
+  entry.error = error;
+
+  if (status !== 'pending')
+    evictSettledStatuses(entries);
+
+  store.emit('status', { store, path: methodPath, args, status, error });
+}
+
+export function readStatus(statuses, methodPath, _args) {
+  if (!methodPath || typeof methodPath !== 'string')
+    throw new TypeError('Error: Unable to read status, provided "methodPath" must be a non-empty string.');
+
+  let args = (_args == null) ? [] : _args;
+  if (!Array.isArray(args))
+    throw new TypeError('Error: Unable to read status, provided "args" must be an array.');
+
+  let entry = findStatusEntry(statuses, methodPath, args);
+  if (!entry)
+    return IDLE_STATUS;
+
+  return Object.freeze({ status: entry.status, error: entry.error });
+}
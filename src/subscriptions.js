@@ -0,0 +1,157 @@
+import {
+  isAffected,
+  collectDependencies,
+} from './dependencies.js';
+import {
+  getPath,
+  readPath,
+  shallowEqual,
+  deepEqual,
+} from './utils.js';
+
+const EQUALITY_CHECKS = {
+  reference:  (valueA, valueB) => (valueA === valueB),
+  shallow:    shallowEqual,
+  deep:       deepEqual,
+};
+
+// A modified path matches a pattern when it is the same path,
+// an ancestor, or a descendant ("*" matches any one key)
+function patternMatches(patternParts, modifiedPath) {
+  if (modifiedPath === '*')
+    return true;
+
+  let modifiedParts = modifiedPath.split('.');
+  for (let i = 0, il = Math.min(patternParts.length, modifiedParts.length); i < il; i++) {
+    let patternPart = patternParts[i];
+    if (patternPart !== '*' && patternPart !== modifiedParts[i])
+      return false;
+  }
+
+  return true;
+}
+
+function expandPattern(value, patternParts, index, basePath, paths) {
+  if (index >= patternParts.length) {
+    paths[basePath] = true;
+    return;
+  }
+
+  let patternPart = patternParts[index];
+  if (patternPart !== '*') {
+    expandPattern(readPath(value, patternPart), patternParts, index + 1, getPath(basePath, patternPart), paths);
+    return;
+  }
+
+  if (value == null || typeof value !== 'object')
+    return;
+
+  let isMap = (value instanceof Map);
+  let keys  = (isMap) ? Array.from(value.keys()) : Object.keys(value);
+
+  for (let i = 0, il = keys.length; i < il; i++) {
+    let key = keys[i];
+    expandPattern((isMap) ? value.get(key) : value[key], patternParts, index + 1, getPath(basePath, key), paths);
+  }
+}
+
+export function subscribe(store, pattern, listener) {
+  if (!pattern || typeof pattern !== 'string')
+    throw new TypeError('subscribe: provided "path" must be a non-empty string.');
+
+  if (typeof listener !== 'function')
+    throw new TypeError('subscribe: provided "listener" must be a function.');
+
+  const patternParts  = pattern.split('.');
+  const isWildcard    = (patternParts.indexOf('*') >= 0);
+
+  const onUpdate = (event) => {
+    let { previousStore, modified } = event;
+    if (!modified.some((modifiedPath) => patternMatches(patternParts, modifiedPath)))
+      return;
+
+    let previousState = previousStore.getState();
+    let currentState  = store.getState();
+
+    if (!isWildcard) {
+      let previousValue = readPath(previousState, pattern);
+      let value         = readPath(currentState, pattern);
+
+      // An ancestor was modified, but this path wasn't
+      if (value === previousValue)
+        return;
+
+      listener(value, previousValue, Object.assign({}, event, { path: pattern }));
+
+      return;
+    }
+
+    let paths = {};
+    expandPattern(previousState, patternParts, 0, '', paths);
+    expandPattern(currentState, patternParts, 0, '', paths);
+
+    let values          = {};
+    let previousValues  = {};
+    let changed         = false;
+    let concretePaths   = Object.keys(paths);
+
+    for (let i = 0, il = concretePaths.length; i < il; i++) {
+      let concretePath  = concretePaths[i];
+      let previousValue = readPath(previousState, concretePath);
+      let value         = readPath(currentState, concretePath);
+
+      if (value === previousValue)
+        continue;
+
+      values[concretePath] = value;
+      previousValues[concretePath] = previousValue;
+      changed = true;
+    }
+
+    if (!changed)
+      return;
+
+    listener(values, previousValues, Object.assign({}, event, { path: pattern }));
+  };
+
+  store.on('update', onUpdate);
+
+  return () => {
+    store.off('update', onUpdate);
+  };
+}
+
+export function watch(store, selector, listener, _options) {
+  if (typeof selector !== 'function')
+    throw new TypeError('watch: provided "selector" must be a function.');
+
+  if (typeof listener !== 'function')
+    throw new TypeError('watch: provided "listener" must be a function.');
+
+  const options = _options || {};
+  const equals  = (typeof options.equals === 'function') ? options.equals : EQUALITY_CHECKS[options.equals || 'reference'];
+  if (!equals)
+    throw new TypeError(`watch: unknown "equals" value "${options.equals}". Must be "reference", "shallow", "deep", or a function.`);
+
+  let { result: value, dependencies } = collectDependencies(() => selector(store));
+
+  const onUpdate = (event) => {
+    if (!isAffected(dependencies, event.modified))
+      return;
+
+    let previousValue = value;
+
+    ({ result: value, dependencies } = collectDependencies(() => selector(store)));
+
+    if (equals(previousValue, value))
+      return;
+
+    listener(value, previousValue, event);
+  };
+
+  store.on('update', onUpdate);
+
+  return () => {
+    store.off('update', onUpdate);
+  };
+}
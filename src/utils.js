@@ -0,0 +1,325 @@
+import Nife from 'nife';
+
+export function copyKeysToArray(_value, source) {
+  let value = _value;
+
+  if (Array.isArray(value) && source) {
+    let keys = Object.keys(source);
+    for (let i = 0, il = keys.length; i < il; i++) {
+      let key = keys[i];
+      if ((/^\d+$/).test(key))
+        continue;
+
+      // Deep frozen arrays are copied before receiving keys
+      if (Object.isFrozen(value))
+        value = copyKeysToArray(value.slice(), value);
+
+      value[key] = source[key];
+    }
+  }
+
+  return value;
+}
+
+const COLLECTION_MUTATORS = {
+  Map:  [ 'set', 'delete', 'clear' ],
+  Set:  [ 'add', 'delete', 'clear' ],
+};
+
+export function isCollection(value) {
+  return (value instanceof Map || value instanceof Set);
+}
+
+// Object.freeze doesn't stop Map and Set mutations,
+// so their mutating methods are replaced as well
+export function freezeContainer(value) {
+  // Typed arrays can't be frozen while they have elements
+  if (!value || typeof value !== 'object' || Object.isFrozen(value) || ArrayBuffer.isView(value))
+    return value;
+
+  if (isCollection(value)) {
+    let typeName = (value instanceof Map) ? 'Map' : 'Set';
+    let methods  = COLLECTION_MUTATORS[typeName];
+
+    for (let i = 0, il = methods.length; i < il; i++) {
+      let methodName = methods[i];
+
+      Object.defineProperty(value, methodName, {
+        writable:     false,
+        enumerable:   false,
+        configurable: false,
+        value:        () => {
+          throw new TypeError(`Error: Unable to call "${methodName}" on a frozen ${typeName}. State can only be updated through scope methods via set().`);
+        },
+      });
+    }
+  }
+
+  return Object.freeze(value);
+}
+
+// Proxies over a stand-in target can only report descriptors the
+// target can agree with: the target's own flags for the properties
+// it has, and configurable for the ones it doesn't
+export function toStandInDescriptor(target, key, descriptor) {
+  let targetDescriptor = Reflect.getOwnPropertyDescriptor(target, key);
+  if (targetDescriptor) {
+    descriptor.configurable = targetDescriptor.configurable;
+    if (Object.prototype.hasOwnProperty.call(descriptor, 'value'))
+      descriptor.writable = targetDescriptor.writable;
+  } else {
+    descriptor.configurable = true;
+  }
+
+  return descriptor;
+}
+
+export function clone(value) {
+  if (!value)
+    return value;
+
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value))
+      return copyKeysToArray(value.slice(), value);
+
+    if (value instanceof Map)
+      return new Map(value);
+
+    if (value instanceof Set)
+      return new Set(value);
+
+    return Object.assign({}, value);
+  }
+
+  return value;
+}
+
+// Path parts address Map entries by key
+function getChild(value, key) {
+  return (value instanceof Map) ? value.get(key) : value[key];
+}
+
+function setChild(value, key, childValue) {
+  if (value instanceof Map)
+    value.set(key, childValue);
+  else
+    value[key] = childValue;
+}
+
+export function readPath(context, path) {
+  if (!path)
+    return context;
+
+  let pathParts = path.split('.');
+  let current   = context;
+
+  for (let i = 0, il = pathParts.length; i < il; i++) {
+    if (current == null)
+      return;
+
+    current = getChild(current, pathParts[i]);
+  }
+
+  return current;
+}
+
+export function setPath(_context, path, value) {
+  let context   = clone(_context);
+  let pathParts = path.split('.');
+  let current   = context;
+
+  for (let i = 0, il = pathParts.length; i < il; i++) {
+    let pathPart = pathParts[i];
+
+    if ((i + 1) >= il) {
+      let finalValue;
+
+      if (Array.isArray(value))
+        finalValue = copyKeysToArray(value, getChild(current, pathPart));
+      else
+        finalValue = value;
+
+      freezeContainer(finalValue);
+      setChild(current, pathPart, finalValue);
+    } else {
+      // Missing intermediate values are created
+      let childValue = getChild(current, pathPart);
+      setChild(current, pathPart, (childValue == null) ? {} : clone(childValue));
+    }
+
+    freezeContainer(current);
+
+    current = getChild(current, pathPart);
+  }
+
+  return context;
+}
+
+// Remove the value at a path (array items are spliced out).
+// The context is returned as-is if there is nothing to remove.
+export function deletePath(context, path) {
+  let pathParts   = path.split('.');
+  let parentPath  = pathParts.slice(0, -1).join('.');
+  let key         = pathParts[pathParts.length - 1];
+  let parent      = readPath(context, parentPath);
+
+  if (!parent || typeof parent !== 'object')
+    return context;
+
+  let newParent;
+
+  if (parent instanceof Map || parent instanceof Set) {
+    if (!parent.has(key))
+      return context;
+
+    newParent = clone(parent);
+    newParent.delete(key);
+  } else if (Array.isArray(parent) && (/^\d+$/).test(key)) {
+    if (parseInt(key, 10) >= parent.length)
+      return context;
+
+    newParent = clone(parent);
+    newParent.splice(parseInt(key, 10), 1);
+  } else {
+    if (!Object.prototype.hasOwnProperty.call(parent, key))
+      return context;
+
+    newParent = clone(parent);
+    delete newParent[key];
+  }
+
+  if (!parentPath)
+    return freezeContainer(newParent);
+
+  return setPath(context, parentPath, newParent);
+}
+
+// Plain objects, and arrays (which can hold the
+// state of sub-scopes as extra keys) can be merged into
+export function isMergeable(value) {
+  return (Array.isArray(value) || Nife.instanceOf(value, 'object'));
+}
+
+// Deep merge a patch into a (frozen) value. Plain objects
+// are merged into plain objects and arrays, anything else
+// (arrays included) is replaced. Branches the patch didn't
+// change keep their reference.
+export function mergeValues(target, patch) {
+  if (!isMergeable(target) || !Nife.instanceOf(patch, 'object')) {
+    if (target === patch)
+      return target;
+
+    return freezeContainer(clone(patch));
+  }
+
+  let result  = target;
+  let keys    = Object.keys(patch);
+
+  for (let i = 0, il = keys.length; i < il; i++) {
+    let key         = keys[i];
+    let mergedValue = mergeValues(target[key], patch[key]);
+
+    if (mergedValue === result[key] && Object.prototype.hasOwnProperty.call(result, key))
+      continue;
+
+    if (result === target)
+      result = clone(target);
+
+    result[key] = mergedValue;
+  }
+
+  if (result !== target)
+    freezeContainer(result);
+
+  return result;
+}
+
+export function getPath(...parts) {
+  return parts.filter(Boolean).join('.');
+}
+
+// Two scope paths overlap when they are the same
+// path, or when one is an ancestor of the other
+export function pathsOverlap(pathA, pathB) {
+  if (pathA === pathB)
+    return true;
+
+  if (!pathA || !pathB)
+    return true;
+
+  if (pathA.length > pathB.length)
+    return pathA.startsWith(`${pathB}.`);
+
+  return pathB.startsWith(`${pathA}.`);
+}
+
+// Method arguments are compared by reference, like the method cache
+export function argsEqual(argsA, argsB) {
+  if (argsA.length !== argsB.length)
+    return false;
+
+  for (let i = 0, il = argsA.length; i < il; i++) {
+    if (argsA[i] !== argsB[i])
+      return false;
+  }
+
+  return true;
+}
+
+function collectionsEqual(valueA, valueB, isEqual) {
+  if (valueA.constructor !== valueB.constructor || valueA.size !== valueB.size)
+    return false;
+
+  if (valueA instanceof Set)
+    return Array.from(valueA).every((value) => valueB.has(value));
+
+  return Array.from(valueA.keys()).every((key) => (valueB.has(key) && isEqual(valueA.get(key), valueB.get(key))));
+}
+
+// Nife.propsDiffer only compares own keys, which Maps and Sets don't have
+export function shallowEqual(valueA, valueB) {
+  if (valueA === valueB)
+    return true;
+
+  if (isCollection(valueA) || isCollection(valueB)) {
+    if (!isCollection(valueA) || !isCollection(valueB))
+      return false;
+
+    return collectionsEqual(valueA, valueB, (childA, childB) => (childA === childB));
+  }
+
+  return !Nife.propsDiffer(valueA, valueB);
+}
+
+export function deepEqual(valueA, valueB) {
+  if (valueA === valueB)
+    return true;
+
+  if (!valueA || !valueB || typeof valueA !== 'object' || typeof valueB !== 'object')
+    return shallowEqual(valueA, valueB);
+
+  if (isCollection(valueA) || isCollection(valueB)) {
+    if (!isCollection(valueA) || !isCollection(valueB))
+      return false;
+
+    return collectionsEqual(valueA, valueB, deepEqual);
+  }
+
+  if (Array.isArray(valueA) !== Array.isArray(valueB))
+    return false;
+
+  let keys = Object.keys(valueA);
+  if (keys.length !== Object.keys(valueB).length)
+    return false;
+
+  for (let i = 0, il = keys.length; i < il; i++) {
+    let key = keys[i];
+    if (!Object.prototype.hasOwnProperty.call(valueB, key))
+      return false;
+
+    if (!deepEqual(valueA[key], valueB[key]))
+      return false;
+  }
+
+  return true;
+}